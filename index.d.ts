@@ -1,3 +1,5 @@
+/// <reference types="node" />
+
 /**
  * Type definitions for model-redis.
  */
@@ -5,12 +7,17 @@
 /**
  * Supported field types stored as Redis strings and converted back on read.
  */
-export type FieldType = 'string' | 'number' | 'boolean' | 'object';
+export type FieldType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'date';
+
+/**
+ * Built-in string formats for the `format` field option.
+ */
+export type FieldFormat = 'email' | 'url' | 'uuid';
 
 /**
  * Relationship kind for a schema field that links to another model.
  */
-export type RelationType = 'one' | 'many';
+export type RelationType = 'one' | 'many' | 'manyToMany';
 
 /**
  * Options for a single field in a model's `_keyMap` schema.
@@ -24,10 +31,26 @@ export interface FieldOptions {
     default?: any | (() => any);
     /** When true, the default is applied on every update (e.g. timestamps). */
     always?: boolean;
-    /** Minimum string length or numeric value. */
-    min?: number;
-    /** Maximum string length or numeric value. */
-    max?: number;
+    /** Minimum string length, numeric value, array length or date. */
+    min?: number | Date | string;
+    /** Maximum string length, numeric value, array length or date. */
+    max?: number | Date | string;
+    /** The value must be one of these. */
+    enum?: any[];
+    /** The value, as a string, must match this regular expression. */
+    pattern?: RegExp | string;
+    /** The value must be a valid email, url or uuid. */
+    format?: FieldFormat;
+    /**
+     * Custom check, called with the value and the whole data object. Return
+     * false, or a message to follow the field name, to reject the value.
+     */
+    validate?: (value: any, data: object) => boolean | string | void;
+    /**
+     * For 'object' fields, a nested key map; for 'array' fields, the options
+     * every item is checked against.
+     */
+    schema?: KeyMap | FieldOptions;
     /** When true, the field is omitted from `toJSON()` output. */
     isPrivate?: boolean;
     /** Target model name for a relationship field. */
@@ -38,6 +61,81 @@ export interface FieldOptions {
     localKey?: string;
     /** Remote field a 'many' relationship filters on. */
     remoteKey?: string;
+    /** For 'manyToMany' relationships, the remote field holding the other side. */
+    inverse?: string;
+    /** What `remove()` does to the entries referencing the removed one. */
+    onDelete?: 'cascade' | 'restrict' | 'setNull';
+    /** When true, a secondary index SET is kept per value of this field. */
+    index?: boolean;
+    /** When true, no two entries may hold the same value for this field. */
+    unique?: boolean;
+    /** For number, integer and date fields, keep a sorted set so `range()` can query this field. */
+    sorted?: boolean;
+    /** For string fields, index the words of the value for `search()`. */
+    searchable?: boolean;
+}
+
+/**
+ * Which relations `get()`, `listDetail()`, `range()` and `iterate()` load.
+ */
+export interface RelationOptions {
+    /** false for none, or relation fields; dotted paths reach nested ones. */
+    include?: boolean | string[];
+    /** Number of relation levels to load; unlimited by default. */
+    depth?: number;
+    /** Include entries in the trash of a `_softDelete` model. */
+    withDeleted?: boolean;
+}
+
+/**
+ * Options accepted by `Table.range()`.
+ */
+export interface RangeOptions extends RelationOptions {
+    /** Maximum number of entries to return. */
+    limit?: number;
+    /** Number of matching entries to skip. */
+    offset?: number;
+    /** Return the highest scores first. */
+    reverse?: boolean;
+}
+
+/**
+ * Options accepted by `Table.search()`.
+ */
+export interface SearchOptions extends RelationOptions {
+    /** Searchable fields to look in; all of them by default. */
+    fields?: string[];
+    /** Require every word ('all', the default) or at least one ('any'). */
+    mode?: 'all' | 'any';
+    /** Also match indexed words starting with each query word. */
+    prefix?: boolean;
+    /** Maximum number of entries to return. */
+    limit?: number;
+}
+
+/**
+ * Operations accepted by `Table.aggregate()`, each naming a field or a list
+ * of fields.
+ */
+export interface AggregateSpec {
+    /** Return one result per value of this field. */
+    groupBy?: string;
+    sum?: string | string[];
+    avg?: string | string[];
+    min?: string | string[];
+    max?: string | string[];
+}
+
+/**
+ * Result of `Table.aggregate()`: the entry count and the requested
+ * operations keyed by field. Averages and extremes with no values are null.
+ */
+export interface AggregateResult {
+    count: number;
+    sum?: Record<string, number>;
+    avg?: Record<string, number | null>;
+    min?: Record<string, any>;
+    max?: Record<string, any>;
 }
 
 /**
@@ -45,6 +143,11 @@ export interface FieldOptions {
  */
 export type KeyMap = Record<string, FieldOptions>;
 
+/**
+ * How `create()` fills in a missing primary key.
+ */
+export type KeyGenerator = 'uuid' | 'increment' | ((data: any) => any | Promise<any>);
+
 /**
  * Options passed to `setUpTable()`.
  */
@@ -58,15 +161,183 @@ export interface SetUpTableOptions {
 }
 
 /**
- * Validation error thrown by `processKeys()`.
+ * One field error: the (dotted) field path and a readable message.
  */
-export class ObjectValidateError extends Error {
-    constructor(message?: any);
-    name: 'ObjectValidateError';
-    /** Validation errors, one per failing field. */
-    message: any;
-    /** Suggested HTTP status code (422). */
+export interface FieldError {
+    key: string;
+    message: string;
+}
+
+export interface ModelErrorDetails {
+    code?: string;
+    status?: number;
+    model?: string;
+    id?: string;
+    errors?: FieldError[];
+}
+
+/**
+ * Base class of the errors thrown for model entries.
+ */
+export class ModelError extends Error {
+    constructor(message: string, details?: ModelErrorDetails);
+    /** Stable identifier such as 'ENTRY_NOT_FOUND'. */
+    code: string;
+    /** Suggested HTTP status code. */
     status: number;
+    /** Name of the model the error is about. */
+    model?: string;
+    /** Primary key of the entry the error is about. */
+    id?: string;
+    /** Field errors, one per failing field. */
+    errors: FieldError[];
+}
+
+/** The entry does not exist (404, 'ENTRY_NOT_FOUND'). */
+export class EntryNotFound extends ModelError {}
+
+/** The primary key or a unique value is taken (409, 'ENTRY_NAME_USED'). */
+export class EntryNameUsed extends ModelError {
+    /** Same as `errors`, kept for older code. */
+    keys: FieldError[];
+}
+
+/** An `onDelete: 'restrict'` rule blocks the remove (409, 'ENTRY_IN_USE'). */
+export class EntryInUse extends ModelError {
+    /** Same as `errors`, kept for older code. */
+    keys: FieldError[];
+}
+
+/** A `_versioned` entry changed since it was loaded (409, 'STALE_ENTRY'). */
+export class StaleEntry extends ModelError {}
+
+/**
+ * Validation failed (422, 'VALIDATION_FAILED'). The message joins the
+ * messages of `errors`.
+ */
+export class ValidationError extends ModelError {
+    constructor(errors: FieldError[], details?: ModelErrorDetails);
+}
+
+/** The old name of `ValidationError`. */
+export { ValidationError as ObjectValidateError };
+
+/**
+ * Operators accepted in a `where()` filter.
+ */
+export interface QueryOperators {
+    $eq?: any;
+    $ne?: any;
+    $gt?: any;
+    $gte?: any;
+    $lt?: any;
+    $lte?: any;
+    $in?: any[];
+    $exists?: boolean;
+    $regex?: RegExp | string;
+}
+
+/**
+ * Filter for `where()`: per field, a plain value (equality), a RegExp or an
+ * object of operators.
+ */
+export type QueryFilter = Record<string, any | RegExp | QueryOperators>;
+
+/**
+ * Options for `Table.iterate()`.
+ */
+export interface IterateOptions extends RelationOptions {
+    /** SSCAN COUNT hint per page. Defaults to `_batchSize`. */
+    batchSize?: number;
+    /** Skip entries that do not match this `where()` filter. */
+    filter?: QueryFilter;
+}
+
+/**
+ * Message published on `<prefix><Model>::events` for every write.
+ */
+export interface ChangeEvent {
+    model: string;
+    id: string;
+    op: 'create' | 'update' | 'remove' | 'expire' | 'restore' | 'purge';
+    /** Fields written by the operation; empty for the other ops. */
+    changedFields: string[];
+    /** Set when an update renamed the entry. */
+    previousId?: string;
+    /** Set when a remove moved the entry to the trash. */
+    soft?: boolean;
+}
+
+/**
+ * One line written by `Table.dump()`.
+ */
+export interface DumpRecord {
+    model: string;
+    id: string;
+    /** Remaining lifetime in seconds; 0 for none. */
+    ttl: number;
+    /** The raw hash values. */
+    fields: Record<string, string>;
+    /** Linked ids by many-to-many side, for entries that have links. */
+    links?: Record<string, string[]>;
+}
+
+/**
+ * One change recorded by `_history`.
+ */
+export interface HistoryRecord {
+    at: Date;
+    op: 'update' | 'remove';
+    /** The `actor` option of the write, if one was given. */
+    actor?: any;
+    /** Old and new value of each changed field; null when it was not set. */
+    changes: Record<string, { from: any; to: any }>;
+}
+
+/**
+ * Result of `Table.migrate()`.
+ */
+export interface MigrateReport {
+    /** Entries read. */
+    scanned: number;
+    /** Entries upgraded (or that would be, on a dry run). */
+    migrated: number;
+    /** Entries whose migration or validation failed. */
+    failed: Array<{ id: string; error: Error }>;
+}
+
+/**
+ * One page returned by `Table.page()`.
+ */
+export interface Page<T> {
+    /** Cursor for the next page, or null when the walk is complete. */
+    cursor: string | null;
+    items: T[];
+}
+
+/**
+ * Chainable query returned by `Table.where()`. Awaiting it resolves to the
+ * matching instances.
+ */
+export class Query<T extends Table = Table> implements PromiseLike<T[]> {
+    /** AND more clauses into the query. */
+    where(filter: QueryFilter): this;
+    /** Sort by `field`; call again for tie-breakers. */
+    sort(field: string, direction?: 'asc' | 'desc'): this;
+    limit(count: number): this;
+    offset(count: number): this;
+    /** The matching instances, with relations loaded. */
+    all(): Promise<T[]>;
+    /** The first matching instance, or null. */
+    first(): Promise<T | null>;
+    /** Number of matching entries. */
+    count(): Promise<number>;
+    /** Primary keys of the matching entries. */
+    ids(): Promise<string[]>;
+    then<R1 = T[], R2 = never>(
+        onfulfilled?: ((value: T[]) => R1 | PromiseLike<R1>) | null,
+        onrejected?: ((reason: any) => R2 | PromiseLike<R2>) | null
+    ): Promise<R1 | R2>;
 }
 
 /**
@@ -131,6 +402,25 @@ export interface OrphanReport {
     };
 }
 
+/** Events accepted by `static hooks` and `Table.on()`. */
+export type HookEvent =
+    | 'beforeCreate' | 'afterCreate'
+    | 'beforeUpdate' | 'afterUpdate'
+    | 'beforeRemove' | 'afterRemove'
+    | 'afterLoad'
+    | 'expired';
+
+/**
+ * Hook function. Before hooks on create and update may return replacement
+ * data; other return values are ignored.
+ */
+export type Hook = (this: typeof Table, ...args: any[]) => any;
+
+/**
+ * Map of lifecycle events to a hook or an array of hooks.
+ */
+export type Hooks = Partial<Record<HookEvent, Hook | Hook[]>>;
+
 /**
  * Base Table class returned by `setUpTable()`. Extend this class to define
  * application models.
@@ -145,15 +435,48 @@ export class Table {
     static _keyMap: KeyMap;
     /** Default record lifetime in seconds; 0 means no expiry. */
     static _ttl: number;
+    /** Milliseconds a unique value claim lasts until its write commits; 60000 by default. */
+    static _claimTimeout: number;
+    /** Fills in a missing primary key on `create()`; null by default. */
+    static _keyGenerator: KeyGenerator | null;
+    /** Keep a version counter and reject stale updates; false by default. */
+    static _versioned: boolean;
+    /** Publish change events on every write; true by default. */
+    static _events: boolean;
+    /**
+     * Record the last `limit` changes of each entry, kept `keepRemoved`
+     * seconds after a remove (30 days by default); null by default.
+     */
+    static _history: { limit?: number; keepRemoved?: number } | null;
+    /** Make `remove()` move entries to a trash; false by default. */
+    static _softDelete: boolean;
+    /** Entries read per pipelined round trip when listing; defaults to 100. */
+    static _batchSize: number;
+    /** Version of `_keyMap` new entries are written with; defaults to 1. */
+    static _schemaVersion: number;
+    /**
+     * Upgrade steps keyed by the version they produce, called with the stored
+     * fields at the previous version.
+     */
+    static migrations: Record<number, (record: Record<string, any>) => any>;
+    /** Lifecycle hooks, keyed by event. */
+    static hooks: Hooks;
 
     /** Shared registry of models registered with `register()`. */
     static models: Record<string, typeof Table>;
     /** The Redis client bound to this Table. */
     static redisClient: any;
-    /** Custom error constructors exposed by the Table class. */
+    /** Most duplicate connections opened for updates and migrations. */
+    static watchConnections: number;
+    /** The error classes, also exported by the package. */
     static errors: {
-        ObjectValidateError: typeof ObjectValidateError;
-        EntryNameUsed: () => Error;
+        ModelError: typeof ModelError;
+        EntryNotFound: typeof EntryNotFound;
+        EntryNameUsed: typeof EntryNameUsed;
+        EntryInUse: typeof EntryInUse;
+        StaleEntry: typeof StaleEntry;
+        ValidationError: typeof ValidationError;
+        ObjectValidateError: typeof ValidationError;
     };
 
     /**
@@ -164,6 +487,8 @@ export class Table {
 
     /**
      * Create and return a new entry after validating `data` against `_keyMap`.
+     * A missing primary key is filled in by `_keyGenerator`. Related entries
+     * given in relationship fields are created or linked.
      * Pass `{ttl: <seconds>}` as `options` to override the model default.
      */
     static create<T extends typeof Table>(
@@ -179,7 +504,7 @@ export class Table {
     static get<T extends typeof Table>(
         this: T,
         index: string | object,
-        queryHelper?: QueryHelper
+        options?: RelationOptions | QueryHelper
     ): Promise<InstanceType<T>>;
 
     /** Return true when the primary key exists, false otherwise. */
@@ -188,20 +513,125 @@ export class Table {
     /** Return an array of all primary keys in the table. */
     static list(): Promise<string[]>;
 
+    /**
+     * Register a lifecycle hook on this model and its subclasses. Returns the
+     * model for chaining.
+     */
+    static on<T extends typeof Table>(this: T, event: HookEvent, hook: Hook): T;
+
+    /**
+     * Call `handler` with every change event published for this model. Bad
+     * messages and handler errors go to `onError` (console.error by default).
+     * Resolves to a function that ends the subscription.
+     */
+    static subscribe(
+        handler: (event: ChangeEvent) => void | Promise<void>,
+        options?: { onError?: (error: unknown) => void }
+    ): Promise<() => Promise<void>>;
+
+    /**
+     * Walk every entry with SSCAN, loading one page at a time. Entries that do
+     * not match `options.filter` are skipped.
+     */
+    static iterate<T extends typeof Table>(
+        this: T,
+        options?: IterateOptions
+    ): AsyncGenerator<InstanceType<T>, void, undefined>;
+
+    /**
+     * Read one page of entries for cursor-based pagination. The returned
+     * cursor is null once every entry was seen.
+     */
+    static page<T extends typeof Table>(
+        this: T,
+        cursor?: string | null,
+        count?: number
+    ): Promise<Page<InstanceType<T>>>;
+
+    /**
+     * Start a chainable query with operators, sorting and paging. Uses the
+     * model's indexes where they cover the filter.
+     */
+    static where<T extends typeof Table>(
+        this: T,
+        filter?: QueryFilter
+    ): Query<InstanceType<T>>;
+
+    /**
+     * Number of entries matching a `where()` filter. A single SCARD without
+     * a filter, and read from the index sets for equalities on indexed fields.
+     */
+    static count(filter?: QueryFilter): Promise<number>;
+
+    /**
+     * Count, sum, average and min/max the entries matching a `where()`
+     * filter, for every entry or per value of `spec.groupBy`.
+     */
+    static aggregate(spec: AggregateSpec & { groupBy: string }, filter?: QueryFilter): Promise<(AggregateResult & { group: any })[]>;
+    static aggregate(spec: AggregateSpec, filter?: QueryFilter): Promise<AggregateResult>;
+
+    /**
+     * Return the entries whose `sorted` field lies between `min` and `max`,
+     * in score order. Prefix a bound with '(' to make it exclusive.
+     */
+    static range<T extends typeof Table>(
+        this: T,
+        field: string,
+        min?: number | string | null,
+        max?: number | string | null,
+        options?: RangeOptions
+    ): Promise<InstanceType<T>[]>;
+
+    /**
+     * Return the entries whose `searchable` fields contain the words of
+     * `text`, ranked by the number of words matched.
+     */
+    static search<T extends typeof Table>(
+        this: T,
+        text: string,
+        options?: SearchOptions
+    ): Promise<InstanceType<T>[]>;
+
+    /**
+     * Rebuild the secondary, sorted and search indexes and the unique value
+     * claims from the stored entries. Returns the number of entries indexed.
+     */
+    static reindex(): Promise<number>;
+
+    /**
+     * Upgrade every entry stored at an older `_schemaVersion`. With `dryRun`
+     * nothing is written.
+     */
+    static migrate(options?: { batchSize?: number; dryRun?: boolean }): Promise<MigrateReport>;
+
+    /** The entries in the trash of a `_softDelete` model, newest first. */
+    static trash<T extends typeof Table>(
+        this: T,
+        relations?: RelationOptions
+    ): Promise<InstanceType<T>[]>;
+
+    /**
+     * Delete trashed entries removed before `olderThan` for good, or the whole
+     * trash, applying the onDelete rules remove() deferred. Resolves to the
+     * number of entries purged.
+     */
+    static purge(options?: { olderThan?: Date | number }): Promise<number>;
+
     /**
      * Return all entries as Table instances, optionally filtered by `options`.
+     * Filters on `index: true` fields only read the matching entries.
      */
     static listDetail<T extends typeof Table>(
         this: T,
         options?: object,
-        queryHelper?: QueryHelper
+        relations?: RelationOptions | QueryHelper
     ): Promise<InstanceType<T>[]>;
 
     /** Alias for `listDetail()`. */
     static findall<T extends typeof Table>(
         this: T,
         options?: object,
-        queryHelper?: QueryHelper
+        relations?: RelationOptions | QueryHelper
     ): Promise<InstanceType<T>[]>;
 
     /** Scan the keyspace and report orphaned data across every model. */
@@ -213,19 +643,85 @@ export class Table {
      */
     static pruneOrphans(report?: OrphanReport): Promise<{ removedDangling: number }>;
 
+    /**
+     * Write the entries of every registered model, or of `models`, to `stream`
+     * as NDJSON `DumpRecord` lines. Resolves to the number of lines written.
+     */
+    static dump(
+        stream: NodeJS.WritableStream,
+        options?: { models?: Array<string | typeof Table> }
+    ): Promise<number>;
+
+    /**
+     * Read a `dump()` back, rebuilding indexes, unique claims and links.
+     * Existing entries are skipped, or replaced with `mode: 'overwrite'`.
+     */
+    static restore(
+        stream: NodeJS.ReadableStream,
+        options?: { mode?: 'skip' | 'overwrite' }
+    ): Promise<{ restored: number; skipped: number }>;
+
+    /**
+     * Remove expired entries of registered models from their indexes as soon
+     * as Redis sends the keyspace notification. Errors of the cleanup and of
+     * `expired` hooks go to `onError` (console.error by default). Resolves to
+     * a function that stops listening.
+     */
+    static startExpiryListener(options?: {
+        onError?: (error: unknown) => void;
+    }): Promise<() => Promise<void>>;
+
+    /**
+     * Close the connections duplicated from the client for updates,
+     * migrations and subscriptions. Also done when the client ends.
+     */
+    static close(): Promise<void>;
+
     constructor(data: object);
 
-    /** Load relationships for this instance, guarding against cycles. */
+    /**
+     * Load relationships for this instance, guarding against cycles. Lists
+     * resolve relations for a whole batch at once.
+     */
     buildRelations(queryHelper?: QueryHelper): Promise<void>;
 
     /**
-     * Update the instance with `data` and return the updated instance.
+     * Update the instance with `data` and return the updated instance. All
+     * writes are committed in one MULTI/EXEC transaction. Related entries
+     * given in relationship fields are created or linked.
      * Pass `{ttl: <seconds>}` to reset expiry, or `{ttl: 0}` to clear it.
      */
-    update(data: object, options?: { ttl?: number }): Promise<this>;
+    update(data: object, options?: { ttl?: number; actor?: any }): Promise<this>;
+
+    /**
+     * Delete this entry from Redis and return the instance. With `_softDelete`
+     * the entry is moved to the trash and `deletedAt` is set.
+     */
+    remove(options?: { actor?: any }): Promise<this>;
+
+    /** Take this entry out of the trash. Throws `EntryNotFound` if it is not there. */
+    restore(): Promise<this>;
+
+    /** The recorded changes of this entry, newest first. */
+    history(): Promise<HistoryRecord[]>;
+
+    /** The field values of this entry as they were `n` changes ago. */
+    revisionAt(n: number): Promise<Record<string, any>>;
+
+    /** Write back the values from `n` changes ago and return the instance. */
+    revert(n: number, options?: { actor?: any }): Promise<this>;
+
+    /**
+     * Link this entry to `other` (an instance, a primary key or an array of
+     * either) through a 'manyToMany' field, on both sides.
+     */
+    link(field: string, other: Table | string | Array<Table | string>): Promise<this>;
+
+    /** Remove the links to `other` through a 'manyToMany' field. */
+    unlink(field: string, other: Table | string | Array<Table | string>): Promise<this>;
 
-    /** Delete this entry from Redis and return the instance. */
-    remove(): Promise<this>;
+    /** The entries linked to this one through a 'manyToMany' field. */
+    linked<R extends Table = Table>(field: string, options?: RelationOptions): Promise<R[]>;
 
     /** Set this entry to expire after `seconds`. Returns the instance. */
     expire(seconds: number): Promise<this>;
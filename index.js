@@ -1,5 +1,6 @@
 'use strict';
 const table = require('./src/redis_model')
+const errors = require('./src/errors')
 var client = null
 
 function setUpTable(obj){
@@ -22,4 +23,4 @@ function setUpTable(obj){
 	return table(client, obj.prefix, connectionPromise);
 }
 
-module.exports = {client, setUpTable};
+module.exports = {client, setUpTable, ...errors, ObjectValidateError: errors.ValidationError};
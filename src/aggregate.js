@@ -0,0 +1,88 @@
+'use strict';
+
+const {compare} = require('./query');
+
+const OPERATIONS = ['sum', 'avg', 'min', 'max'];
+
+// The fields `spec` names for `operation`, as a list.
+function fieldsOf(spec, operation){
+	const fields = spec[operation];
+	if(fields === undefined || fields === null) return [];
+	return Array.isArray(fields) ? fields : [fields];
+}
+
+function isNumber(value){
+	return typeof value === 'number' && !isNaN(value);
+}
+
+// Running totals for one group.
+function accumulator(spec){
+	const totals = {count: 0};
+	for(const operation of OPERATIONS){
+		for(const field of fieldsOf(spec, operation)){
+			totals[operation] = totals[operation] || {};
+			totals[operation][field] = operation === 'avg' ? {sum: 0, count: 0} : operation === 'sum' ? 0 : null;
+		}
+	}
+	return totals;
+}
+
+function add(totals, entry){
+	totals.count++;
+	for(const field of Object.keys(totals.sum || {})){
+		if(isNumber(entry[field])) totals.sum[field] += entry[field];
+	}
+	for(const [field, avg] of Object.entries(totals.avg || {})){
+		if(!isNumber(entry[field])) continue;
+		avg.sum += entry[field];
+		avg.count++;
+	}
+	for(const [operation, sign] of [['min', 1], ['max', -1]]){
+		for(const [field, current] of Object.entries(totals[operation] || {})){
+			const value = entry[field];
+			if(value === undefined || value === null) continue;
+			if(current === null || compare(value, current) * sign < 0) totals[operation][field] = value;
+		}
+	}
+}
+
+function finish(totals){
+	for(const [field, avg] of Object.entries(totals.avg || {})){
+		totals.avg[field] = avg.count ? avg.sum / avg.count : null;
+	}
+	return totals;
+}
+
+/**
+ * Reduce `entries` following `spec`, {groupBy, sum, avg, min, max}, where each
+ * operation names a field or a list of fields. Without groupBy the result is
+ * one {count, sum, avg, min, max} object holding the requested operations
+ * keyed by field; with it, a list of those with their `group` value, ordered
+ * by it. Sums and averages skip values that are not numbers, min and max skip
+ * unset ones; an average or extreme with no values is null.
+ */
+function aggregate(entries, spec){
+	spec = spec || {};
+
+	if(spec.groupBy === undefined){
+		const totals = accumulator(spec);
+		for(const entry of entries) add(totals, entry);
+		return finish(totals);
+	}
+
+	// Dates are grouped by their timestamp, unset values under null.
+	const groups = new Map();
+	for(const entry of entries){
+		let group = entry[spec.groupBy];
+		if(group === undefined) group = null;
+		const key = group instanceof Date ? group.getTime() : group;
+		if(!groups.has(key)) groups.set(key, {group, ...accumulator(spec)});
+		add(groups.get(key), entry);
+	}
+
+	return [...groups.values()]
+		.map(finish)
+		.sort((a, b) => compare(a.group, b.group));
+}
+
+module.exports = {aggregate, fieldsOf, OPERATIONS};
@@ -0,0 +1,55 @@
+'use strict';
+
+// Base class of the errors thrown for model entries. `code` is a stable
+// string to switch on, `status` the matching HTTP status and `errors` a list
+// of {key, message} for the fields involved.
+class ModelError extends Error {
+	constructor(message, {code = 'MODEL_ERROR', status = 500, model, id, errors = []} = {}){
+		super(message);
+		this.name = this.constructor.name;
+		this.code = code;
+		this.status = status;
+		this.model = model;
+		this.id = id;
+		this.errors = errors;
+	}
+}
+
+class EntryNotFound extends ModelError {
+	constructor(message, details){
+		super(message, {code: 'ENTRY_NOT_FOUND', status: 404, ...details});
+	}
+}
+
+class EntryNameUsed extends ModelError {
+	constructor(message, details){
+		super(message, {code: 'ENTRY_NAME_USED', status: 409, ...details});
+		// Older code reads the field errors from `keys`.
+		this.keys = this.errors;
+	}
+}
+
+class EntryInUse extends ModelError {
+	constructor(message, details){
+		super(message, {code: 'ENTRY_IN_USE', status: 409, ...details});
+		this.keys = this.errors;
+	}
+}
+
+class StaleEntry extends ModelError {
+	constructor(message, details){
+		super(message, {code: 'STALE_ENTRY', status: 409, ...details});
+	}
+}
+
+// Takes the list of {key, message} field errors; the message joins them.
+class ValidationError extends ModelError {
+	constructor(errors, details){
+		errors = Array.isArray(errors) ? errors : [];
+		super(errors.map(error => error.message).join(' '), {
+			code: 'VALIDATION_FAILED', status: 422, ...details, errors,
+		});
+	}
+}
+
+module.exports = {ModelError, EntryNotFound, EntryNameUsed, EntryInUse, StaleEntry, ValidationError};
@@ -1,5 +1,7 @@
 'use strict';
 
+const {ValidationError} = require('./errors');
+
 const process_type = {
 	number: function(key, value){
 		if(key.min && value < key.min) return `is to small, min ${key.min}.`
@@ -9,6 +11,59 @@ const process_type = {
 		if(key.min && value.length < key.min) return `is too short, min ${key.min}.`
 		if(key.max && value.length > key.max) return `is too short, max ${key.max}.`
 	},
+	date: function(key, value){
+		if(key.min && value < toDate(key.min)) return `is too early, min ${toDate(key.min).toISOString()}.`
+		if(key.max && value > toDate(key.max)) return `is too late, max ${toDate(key.max).toISOString()}.`
+	},
+	array: function(key, value){
+		if(key.min && value.length < key.min) return `has too few items, min ${key.min}.`
+		if(key.max && value.length > key.max) return `has too many items, max ${key.max}.`
+	},
+}
+process_type.integer = process_type.number;
+
+// Types that `typeof` alone can not check. Any other type is checked with
+// `typeof`.
+const check_type = {
+	// NaN is what a stored number that does not parse turns into.
+	number: value => typeof(value) === 'number' && !Number.isNaN(value),
+	integer: value => Number.isInteger(value),
+	array: value => Array.isArray(value),
+	// Dates may be given as a Date, epoch milliseconds or a date string.
+	date: value => !isNaN(toDate(value)),
+}
+
+const formats = {
+	email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+	url: /^[a-z][a-z0-9+.-]*:\/\/[^\s/?#]+[^\s]*$/i,
+	uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+}
+
+function toDate(value){
+	if(value instanceof Date) return value;
+	if(typeof(value) === 'number' || typeof(value) === 'string') return new Date(value);
+	return new Date(NaN);
+}
+
+// Checks shared by every type: enum, pattern, format and a custom validate
+// function. Returns the error message, if any.
+function checkOptions(key, value, data){
+	if(key.enum && !key.enum.includes(value)) return `must be one of ${key.enum.join(', ')}.`
+	if(key.pattern && !new RegExp(key.pattern).test(String(value))) return `does not match ${key.pattern}.`
+	if(key.format){
+		if(!formats[key.format]) throw new Error(`Unknown format ${key.format}`);
+		if(!formats[key.format].test(String(value))) return `is not a valid ${key.format}.`
+	}
+	if(key.validate){
+		// true (or nothing) passes, false fails and a string is the message.
+		const result = key.validate(value, data);
+		if(result === false) return 'is not valid.'
+		if(typeof(result) === 'string') return result;
+	}
+}
+
+function isType(type, value){
+	return check_type[type] ? check_type[type](value) : typeof(value) === type;
 }
 
 function returnOrCall(value){
@@ -17,74 +72,140 @@ function returnOrCall(value){
 
 function processKeys(map, data, partial){
 	let errors = [];
+	let out = processMap(map, data, partial, '', errors);
+
+	if(errors.length !== 0){
+		throw new ValidationError(errors);
+		return {__errors__: errors};
+	}
+
+	return out;
+}
+
+// Check `data` against the schema `map`, collecting errors keyed by their
+// dotted path, which starts with `path` for nested schemas.
+function processMap(map, data, partial, path, errors){
 	let out = {};
 
 	for(let key of Object.keys(map)){
+		let name = path + key;
 
 		if(!map[key].always && partial && !data.hasOwnProperty(key)) continue;
 
 		if(!partial && map[key].isRequired && !data.hasOwnProperty(key)){
-			errors.push({key, message:`${key} is required.`});
+			errors.push({key: name, message:`${name} is required.`});
 			continue;
 		} 
 
-		if(data.hasOwnProperty(key) && map[key].type && typeof(data[key]) !== map[key].type){
-			errors.push({key, message:`${key} is not ${map[key].type} type.`});
-			continue;
+		if(data.hasOwnProperty(key)){
+			out[key] = processValue(map[key], data[key], name, data, errors);
 		}
 
-		out[key] = data.hasOwnProperty(key) && data[key] !== undefined ? data[key] : returnOrCall(map[key].default);
+		if(out[key] === undefined){
+			out[key] = returnOrCall(map[key].default);
 
-		if(data.hasOwnProperty(key) && process_type[map[key].type]){
-			let typeError = process_type[map[key].type](map[key], data[key]);
-			if(typeError){
-				errors.push({key, message:`${key} ${typeError}`});
-				
-				continue;
+			if(map[key].type === 'date' && out[key] !== undefined && out[key] !== null){
+				out[key] = toDate(out[key]);
 			}
 		}
 	}
 
-	if(errors.length !== 0){
-		throw new ObjectValidateError(errors);
-		return {__errors__: errors};
+	return out;
+}
+
+// Check a single given value against its field options, pushing any error to
+// `errors`. Returns the value to store: dates become Date objects and nested
+// schemas are applied.
+function processValue(field, value, name, data, errors){
+	if(field.type && !isType(field.type, value)){
+		errors.push({key: name, message:`${name} is not ${field.type} type.`});
+		return value;
 	}
 
-	return out;
+	if(field.type === 'date' && value !== undefined && value !== null){
+		value = toDate(value);
+	}
+
+	let error = process_type[field.type] && process_type[field.type](field, value);
+	if(!error && value !== undefined) error = checkOptions(field, value, data);
+	if(error){
+		errors.push({key: name, message:`${name} ${error}`});
+		return value;
+	}
+
+	if(field.schema && value !== undefined && value !== null){
+		value = processSchema(field, value, name, errors);
+	}
+
+	return value;
+}
+
+// Apply the `schema` of an object or array field. An array field's schema
+// describes each item, an object field's schema is a nested key map.
+function processSchema(field, value, name, errors){
+	if(field.type === 'array'){
+		return value.map((item, index) => processValue(field.schema, item, `${name}.${index}`, value, errors));
+	}
+
+	return processMap(field.schema, value, false, `${name}.`, errors);
 }
 
 function parseFromString(map, data){
 	let types = {
 		boolean: function(value){ return value === 'false' ? false : true },
 		number: Number,
+		integer: Number,
 		string: String,
-		object: JSON.parse
+		object: JSON.parse,
+		array: JSON.parse,
+		date: function(value){ return new Date(Number(value)) },
 	};
 
 	for(let key of Object.keys(data)){
 		if(map[key] && map[key].type){
 			data[key] = types[map[key].type](data[key]);
 		}
+		if(map[key] && map[key].schema){
+			data[key] = reviveSchema(map[key], data[key]);
+		}
 	}
 
 	return data;
 }
 
+// JSON turns nested dates into strings; turn them back into Dates following
+// the field's schema.
+function reviveSchema(field, value){
+	if(value === undefined || value === null) return value;
+
+	if(field.type === 'date') return typeof(value) === 'string' ? new Date(value) : value;
+	if(!field.schema) return value;
+
+	if(field.type === 'array'){
+		return Array.isArray(value) ? value.map(item => reviveSchema(field.schema, item)) : value;
+	}
+
+	if(typeof(value) !== 'object') return value;
+	for(let key of Object.keys(field.schema)){
+		if(value.hasOwnProperty(key)) value[key] = reviveSchema(field.schema[key], value[key]);
+	}
+
+	return value;
+}
+
 function parseToString(data){
 	let types = {
 		object: JSON.stringify
 	}
 
-	return (types[typeof(data)] || String)(data);
-}
+	// Dates are stored as epoch milliseconds.
+	if(data instanceof Date) return String(data.getTime());
 
-function ObjectValidateError(message) {
-	this.name = 'ObjectValidateError';
-	this.message = (message || {});
-	this.status = 422;
+	return (types[typeof(data)] || String)(data);
 }
 
-ObjectValidateError.prototype = Error.prototype;
+// The old name of ValidationError.
+const ObjectValidateError = ValidationError;
 
 
-module.exports = {processKeys, parseFromString, ObjectValidateError, parseToString};
+module.exports = {processKeys, parseFromString, ValidationError, ObjectValidateError, parseToString};
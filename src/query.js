@@ -0,0 +1,158 @@
+'use strict';
+
+// Compare two stored values, treating Dates by their timestamp.
+function equals(a, b){
+	if(a instanceof Date) a = a.getTime();
+	if(b instanceof Date) b = b.getTime();
+	return a === b;
+}
+
+function isSet(value){
+	return value !== undefined && value !== null;
+}
+
+const operators = {
+	$eq: (value, arg) => equals(value, arg),
+	$ne: (value, arg) => !equals(value, arg),
+	$gt: (value, arg) => isSet(value) && value > arg,
+	$gte: (value, arg) => isSet(value) && value >= arg,
+	$lt: (value, arg) => isSet(value) && value < arg,
+	$lte: (value, arg) => isSet(value) && value <= arg,
+	$in: (value, arg) => arg.some(item => equals(value, item)),
+	$exists: (value, arg) => isSet(value) === Boolean(arg),
+	$regex: (value, arg) => typeof value === 'string' && toRegExp(arg).test(value),
+};
+
+function toRegExp(pattern){
+	return pattern instanceof RegExp ? pattern : new RegExp(pattern);
+}
+
+// Normalize a filter value to an {$op: arg} object. Plain values mean $eq and
+// a RegExp means $regex.
+function toCondition(value){
+	if(value instanceof RegExp) return {$regex: value};
+	if(value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)){
+		const keys = Object.keys(value);
+		if(keys.length && keys.every(key => key.startsWith('$'))) return value;
+	}
+	return {$eq: value};
+}
+
+function matches(record, filter){
+	for(const [field, value] of Object.entries(filter || {})){
+		for(const [op, arg] of Object.entries(toCondition(value))){
+			if(!operators[op]) throw new Error(`Unknown query operator ${op}`);
+			if(!operators[op](record[field], arg)) return false;
+		}
+	}
+	return true;
+}
+
+// Sort order for query results: unset values last, Dates by timestamp.
+function compare(a, b){
+	if(!isSet(a)) return isSet(b) ? 1 : 0;
+	if(!isSet(b)) return -1;
+	if(a instanceof Date) a = a.getTime();
+	if(b instanceof Date) b = b.getTime();
+	return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Chainable query over a model, built with `Model.where(filter)`. Nothing is
+ * read until a terminal method (`all()`, `first()`, `count()`, `ids()`) is
+ * called or the query is awaited.
+ */
+class Query{
+	constructor(Model, filter){
+		this.Model = Model;
+		this.filter = {...filter};
+		this._sort = [];
+		this._limit = undefined;
+		this._offset = 0;
+	}
+
+	// Narrow the query further; clauses are ANDed together.
+	where(filter){
+		for(const [field, value] of Object.entries(filter || {})){
+			this.filter[field] = field in this.filter
+				? {...toCondition(this.filter[field]), ...toCondition(value)}
+				: value;
+		}
+		return this;
+	}
+
+	sort(field, direction){
+		direction = String(direction || 'asc').toLowerCase();
+		this._sort.push({field, order: direction === 'desc' || direction === '-1' ? -1 : 1});
+		return this;
+	}
+
+	limit(count){
+		this._limit = count;
+		return this;
+	}
+
+	offset(count){
+		this._offset = count || 0;
+		return this;
+	}
+
+	// Load every matching entry, sorted, before the limit and offset apply.
+	// Relations are left for the caller to build on the final page only.
+	async _load(){
+		const {ids, setKeys, zsetKeys} = await this.Model._queryCandidates(this.filter);
+		const out = await this.Model._loadMatching(ids, {
+			filter: instance => matches(instance, this.filter),
+			setKeys,
+			zsetKeys,
+			relations: false,
+		});
+
+		if(this._sort.length){
+			out.sort((a, b) => {
+				for(const {field, order} of this._sort){
+					const result = compare(a[field], b[field]);
+					if(result) return result * order;
+				}
+				return 0;
+			});
+		}
+
+		return out;
+	}
+
+	_page(results){
+		const end = this._limit === undefined ? undefined : this._offset + this._limit;
+		return results.slice(this._offset, end);
+	}
+
+	async all(){
+		const page = this._page(await this._load());
+		await this.Model._buildRelationsBatch(page);
+		return page;
+	}
+
+	async first(){
+		const [instance] = await this.limit(1).all();
+		return instance || null;
+	}
+
+	async ids(){
+		return this._page(await this._load()).map(instance => instance[this.Model._key]);
+	}
+
+	async count(){
+		// Without a filter the index SET cardinality is the answer.
+		if(!Object.keys(this.filter).length){
+			const total = Math.max(0, await this.Model._total() - this._offset);
+			return this._limit === undefined ? total : Math.min(total, this._limit);
+		}
+		return this._page(await this._load()).length;
+	}
+
+	then(resolve, reject){
+		return this.all().then(resolve, reject);
+	}
+}
+
+module.exports = {Query, matches, toCondition, compare};
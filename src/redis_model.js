@@ -1,6 +1,14 @@
 'use strict';
 
+const crypto = require('crypto');
+const {once} = require('events');
+const readline = require('readline');
 const objValidate = require('./object_validate');
+const errors = require('./errors');
+const {Query, matches, toCondition, compare} = require('./query');
+const {tokenize, rank} = require('./search');
+const {aggregate, fieldsOf, OPERATIONS} = require('./aggregate');
+const {RELEASE_CLAIMS, RAISE_COUNTER, PRUNE_VALUE} = require('./scripts');
 
 class QueryHelper{
     history = []
@@ -21,6 +29,78 @@ class QueryHelper{
     }
 }
 
+/**
+ * Normalize the {include, depth} options of get() and listDetail() into the
+ * relation spec that _buildRelationsBatch() walks:
+ *   fields - true to load every relation, or a tree of the relation fields to
+ *            load, e.g. ['posts', 'posts.comments'] becomes
+ *            {posts: {comments: {}}}
+ *   depth  - how many levels of relations are left to load
+ * By default every relation is loaded, at any depth.
+ */
+function relationSpec(options){
+    options = options || {};
+
+    let fields = options.include === undefined ? true : options.include;
+    if(fields === false) fields = {};
+    if(typeof fields === 'string') fields = [fields];
+    if(Array.isArray(fields)){
+        const tree = {};
+        for(const path of fields){
+            let node = tree;
+            for(const field of path.split('.')){
+                node = node[field] = node[field] || {};
+            }
+        }
+        fields = tree;
+    }
+
+    return {fields, depth: options.depth === undefined ? Infinity : options.depth};
+}
+
+// The second argument of get() and listDetail() is either the QueryHelper of
+// a relation walk in progress or the {include, depth} options. Returns the
+// [queryHelper, include] pair for buildRelations().
+function relationArgs(options){
+    if(options instanceof QueryHelper) return [options, undefined];
+    return [undefined, relationSpec(options)];
+}
+
+// Write `chunk` to `stream`, waiting for it to drain when its buffer is full.
+async function writeLine(stream, chunk){
+    if(!stream.write(chunk)) await once(stream, 'drain');
+}
+
+// Run the undo steps a failed write recorded in `journal`, newest first.
+// An undo that fails does not hide `error`; it is listed on
+// `error.rollbackErrors`.
+async function rollback(journal, error){
+    for(const undo of journal.splice(0).reverse()){
+        try{
+            await undo();
+        }catch(failure){
+            if(error && typeof error === 'object'){
+                error.rollbackErrors = [...error.rollbackErrors || [], failure];
+            }
+        }
+    }
+}
+
+// ZSET score of a sorted field value; dates are scored by their timestamp.
+function toScore(value){
+    return value instanceof Date ? value.getTime() : value;
+}
+
+// Field types that can be `sorted: true`.
+const SORTABLE_TYPES = ['number', 'integer', 'date'];
+
+const HOOK_EVENTS = [
+    'beforeCreate', 'afterCreate',
+    'beforeUpdate', 'afterUpdate',
+    'beforeRemove', 'afterRemove',
+    'afterLoad', 'expired',
+];
+
 function setUpTable(client, prefix='', connectionPromise=null){
 
     function redisPrefix(key){
@@ -34,37 +114,1212 @@ function setUpTable(client, prefix='', connectionPromise=null){
         }
     }
 
+    // The name of `names` owning the hash key `rest` (unprefixed), that is
+    // the longest one `rest` starts with followed by an underscore, so a hash
+    // is attributed to the most specific model prefix.
+    function hashOwner(rest, names){
+        let owner;
+        for(const name of names){
+            if(rest.startsWith(`${name}_`) && (!owner || name.length > owner.length)) owner = name;
+        }
+        return owner;
+    }
+
+    // Entries whose onDelete rules are being applied, to stop cascade loops.
+    const removing = new Set();
+
+    // WATCH state belongs to a connection, and any EXEC on it clears the
+    // watch. Updates and migrations therefore run on duplicates of
+    // the client, one transaction at a time each. They are opened on demand,
+    // up to Table.watchConnections of them, and kept for reuse until close().
+    const watchIdle = [];
+    const watchWaiting = [];
+    let watchOpened = [];
+
+    async function acquireWatchClient(){
+        if(watchIdle.length) return watchIdle.pop();
+        if(watchOpened.length < Table.watchConnections){
+            const connection = client.duplicate();
+            watchOpened.push(connection);
+            try{
+                await ensureClientReady();
+                await connection.connect();
+            }catch(error){
+                watchOpened = watchOpened.filter(other => other !== connection);
+                throw error;
+            }
+            return connection;
+        }
+        return await new Promise((resolve, reject) => watchWaiting.push({resolve, reject}));
+    }
+
+    function releaseWatchClient(connection){
+        const next = watchWaiting.shift();
+        // A connection closed while in use is not handed out again.
+        if(!watchOpened.includes(connection)){
+            if(next) acquireWatchClient().then(next.resolve, next.reject);
+            return;
+        }
+        if(next) next.resolve(connection);
+        else watchIdle.push(connection);
+    }
+
+    async function withWatchClient(fn){
+        const connection = await acquireWatchClient();
+        try{
+            return await fn(connection);
+        }finally{
+            releaseWatchClient(connection);
+        }
+    }
+
+    // Connection for subscribe(): a client in subscriber mode can not run
+    // other commands, so it is a duplicate, opened on first use.
+    let subscriberPromise = null;
+
+    function getSubscriber(){
+        if(!subscriberPromise){
+            subscriberPromise = (async ()=>{
+                await ensureClientReady();
+                const connection = client.duplicate();
+                await connection.connect();
+                return connection;
+            })();
+            // Let a failed connection be retried by the next call.
+            subscriberPromise.catch(()=>{ subscriberPromise = null; });
+        }
+        return subscriberPromise;
+    }
+
+    // node-redis 5 renamed quit() to close().
+    async function closeConnection(connection){
+        if(typeof connection.close === 'function') await connection.close();
+        else await connection.quit();
+    }
+
+    // Close the duplicated connections. The next call that needs one opens
+    // it again.
+    async function closeDuplicates(){
+        const connections = watchOpened;
+        watchOpened = [];
+        watchIdle.length = 0;
+
+        const subscriber = subscriberPromise;
+        subscriberPromise = null;
+        if(subscriber) connections.push(await subscriber.catch(()=> null));
+
+        await Promise.all(connections.filter(Boolean).map(connection =>
+            closeConnection(connection).catch(()=>{})
+        ));
+    }
+
+    // Without them the process would stay alive after the app closes the client.
+    if(typeof client.on === 'function') client.on('end', ()=>{ closeDuplicates(); });
+
     class Table{
         static errors = {
-            ObjectValidateError: objValidate.ObjectValidateError,
-            EntryNameUsed: ()=>{
-                let error = new Error('EntryNameUsed');
-                error.name = 'EntryNameUsed';
-                error.message = `${this.prototype.constructor.name}:${data[this._key]} already exists`;
-                error.keys = [{
-                    key: this._key,
-                    message: `${this.prototype.constructor.name}:${data[this._key]} already exists`
-                }]
-                error.status = 409;
+            ...errors,
+            ObjectValidateError: errors.ValidationError,
+        }
+
+        static redisClient = client;
+
+        // Most duplicate connections opened for updates and migrations,
+        // which each need a connection of their own while they WATCH a hash.
+        static watchConnections = 4;
+
+        /**
+         * Close the connections this Table opened next to the client: those
+         * of updates and migrations, and the subscriber of
+         * subscribe() and startExpiryListener(), whose subscriptions end.
+         * Also done when the client itself ends. The client is left to the
+         * caller.
+         */
+        static async close(){
+            await closeDuplicates();
+        }
+
+        // Default record lifetime, in seconds, for every entry of this model.
+        // 0 (or falsy) means no expiry. Can be overridden per operation via a
+        // {ttl} option on create()/update() or the instance expire() helper.
+        static _ttl = 0;
+
+        // Resolve the effective TTL (seconds) for an operation. A per-call
+        // options.ttl wins over the model default. The typeof guard tolerates a
+        // non-object second argument (e.g. create(data, true)) so positional
+        // callers do not crash or accidentally set a TTL.
+        static _resolveTTL(options){
+            let ttl = options && typeof options === 'object' ? options.ttl : undefined;
+            return ttl !== undefined ? ttl : this._ttl;
+        }
+
+        // Publish a change event for every write on the model's channel, see
+        // subscribe(). Set to false to stop publishing.
+        static _events = true;
+
+        // Pub/sub channel carrying this model's change events.
+        static _eventsChannel(){
+            return redisPrefix(`${this.name}::events`);
+        }
+
+        /**
+         * Queue on `target` (a MULTI, or the client) the PUBLISH of a change
+         * event, so it is only sent when the write it describes commits.
+         * `op` is one of 'create', 'update', 'remove' or 'expire'.
+         */
+        static _publishEvent(target, id, op, changedFields, extra){
+            if(!this._events) return;
+
+            target.PUBLISH(this._eventsChannel(), JSON.stringify({
+                model: this.name,
+                id: String(id),
+                op,
+                changedFields: changedFields || [],
+                ...extra,
+            }));
+        }
 
-                return error;
+        /**
+         * Call `handler(event)` for every change event published for this
+         * model, by any process using the same Redis and prefix. Events are
+         * {model, id, op, changedFields}, plus `previousId` when an update
+         * renamed the entry. A message that is not JSON, or an error thrown
+         * or rejected by `handler`, is passed to `onError` (console.error by
+         * default) instead of ending the subscriber. Resolves to an async
+         * function that stops the subscription.
+         */
+        static async subscribe(handler, options){
+            const {onError = error => console.error(error)} = options || {};
+            const channel = this._eventsChannel();
+            const listener = message => {
+                try{
+                    Promise.resolve(handler(JSON.parse(message))).catch(onError);
+                }catch(error){
+                    onError(error);
+                }
+            };
+            const subscriber = await getSubscriber();
+
+            await subscriber.subscribe(channel, listener);
+
+            return async ()=>{
+                await subscriber.unsubscribe(channel, listener);
+            };
+        }
+
+        /**
+         * Report entries whose hash expired and whose id was just removed from
+         * the index SET: publish an 'expire' change event and run the
+         * `expired` hooks for each, and delete their history. Called by
+         * whichever read or listener did the SREM, so every expiry is
+         * reported once.
+         */
+        static async _expired(ids){
+            if(!ids.length) return;
+
+            if(this._events || this._history){
+                const events = client.multi();
+                for(const id of ids){
+                    this._publishEvent(events, id, 'expire');
+                    if(this._history) events.DEL(this._historyKey(id));
+                }
+                await events.execAsPipeline();
             }
+
+            for(const id of ids) await this._runHooks('expired', id);
         }
 
-        static redisClient = client;
+        /**
+         * Remove expired entries from the indexes as soon as Redis reports the
+         * expiry, instead of on the next read. Listens for keyspace `expired`
+         * notifications, which the server must have enabled
+         * (`notify-keyspace-events` containing `Ex`). Hash keys are mapped
+         * back to registered models by their `<prefix><Model>_` prefix; the id
+         * is removed from the index SET and sorted field ZSETs, then reported
+         * with _expired(). A failed cleanup, or an error thrown by an
+         * `expired` hook, is passed to `onError` (console.error by default);
+         * the indexes are otherwise cleaned up on the next read. Resolves to
+         * an async function that stops listening.
+         */
+        static async startExpiryListener(options){
+            const {onError = error => console.error(error)} = options || {};
+            const pattern = '__keyevent@*__:expired';
+            const listener = key => {
+                this._onKeyExpired(key).catch(onError);
+            };
+            const subscriber = await getSubscriber();
+
+            await subscriber.pSubscribe(pattern, listener);
+
+            return async ()=>{
+                await subscriber.pUnsubscribe(pattern, listener);
+            };
+        }
+
+        // Clean up after the expiry of `key`, if it is an entry hash of a
+        // registered model, matched like findOrphans() does.
+        static async _onKeyExpired(key){
+            if(!key.startsWith(prefix)) return;
+
+            const rest = key.slice(prefix.length);
+            const name = hashOwner(rest, Object.keys(this.models));
+            if(!name) return;
+
+            const Model = this.models[name];
+            const id = rest.slice(name.length + 1);
+            const multi = client.multi();
+            multi.SREM(redisPrefix(Model.name), id);
+            for(const field of Model._sortedFields()) multi.ZREM(Model._sortedIndexKey(field), id);
+            if(Model._softDelete) multi.SREM(Model._trashKey(), id);
+            const [removed] = await multi.exec();
+
+            if(removed) await Model._expired([id]);
+        }
+
+        // Keep a list of the last `limit` changes of each entry, with the old
+        // and new values, for history(), revisionAt() and revert(). The
+        // history of a removed entry is kept for `keepRemoved` seconds (30
+        // days by default, 0 to delete it with the entry); that of an expired
+        // one is deleted when the expiry is reported.
+        static _history = null;
+
+        static _historyRetention(){
+            const {keepRemoved} = this._history;
+            return keepRemoved === undefined ? 30 * 24 * 60 * 60 : keepRemoved;
+        }
+
+        static _historyKey(id){
+            return redisPrefix(`${this.name}::history:${id}`);
+        }
+
+        /**
+         * Queue a history record of `op` on `multi`, taking the stored field
+         * strings from `before` to `after`; fields missing from `after` are
+         * unchanged, and a null `after` removes them all. Only changed fields
+         * are kept and `isPrivate` ones never are. An update that changes
+         * nothing is not recorded.
+         */
+        static _recordHistory(multi, id, op, before, after, actor){
+            if(!this._history) return;
+
+            const changes = {};
+            for(const [field, options] of Object.entries(this._keyMap)){
+                if(options.isPrivate) continue;
+                const from = field in before ? before[field] : null;
+                const to = after === null ? null : field in after ? after[field] : from;
+                if(from !== to) changes[field] = {from, to};
+            }
+            if(op === 'update' && !Object.keys(changes).length) return;
+
+            const record = {at: Date.now(), op, changes};
+            if(actor !== undefined) record.actor = actor;
+
+            const key = this._historyKey(id);
+            multi.LPUSH(key, JSON.stringify(record));
+            multi.LTRIM(key, 0, (this._history.limit || 50) - 1);
+        }
+
+        // The stored field strings of entry `id` as they were `n` changes ago,
+        // undoing the newest history records one by one. `isPrivate` fields
+        // are never recorded, so they keep their stored values.
+        static async _revisionHash(id, n){
+            const records = n > 0 ? await client.LRANGE(this._historyKey(id), 0, n - 1) : [];
+            if(!Number.isInteger(n) || n < 0 || records.length < n){
+                throw new errors.EntryNotFound(`${this.name}:${id} has no revision ${n}`, {
+                    model: this.name, id: String(id)
+                });
+            }
+
+            const stored = await client.HGETALL(redisPrefix(`${this.name}_${id}`));
+            const hash = {};
+            for(const field of Object.keys(this._keyMap)){
+                if(field in stored) hash[field] = stored[field];
+            }
+
+            for(const record of records){
+                for(const [field, {from}] of Object.entries(JSON.parse(record).changes)){
+                    if(from === null) delete hash[field];
+                    else hash[field] = from;
+                }
+            }
+
+            return {hash, stored};
+        }
+
+        // Keep a `_version` counter in each entry's hash, bumped by every
+        // update(). An update made from a stale instance fails with StaleEntry.
+        static _versioned = false;
+
+        /**
+         * Queue the writes of `build(multi)` and commit them as one MULTI/EXEC.
+         * For a versioned model the entry's hash is WATCHed first and its
+         * stored version compared with `version`, the one the caller loaded.
+         * If they differ, or another writer touches the hash before EXEC,
+         * nothing is written and a StaleEntry error is thrown.
+         *
+         * With `watch` the hash is WATCHed for any model, and must still
+         * exist, so an update never recreates part of an expired hash and a
+         * RENAME never fails inside EXEC after the rest of the transaction
+         * has been applied. A hash that is gone throws EntryNotFound. Without
+         * a version to be stale against, another write to the hash before
+         * EXEC just runs the transaction again.
+         */
+        static async _transaction(id, version, build, watch){
+            if(!this._versioned && !watch){
+                const multi = client.multi();
+                build(multi);
+                return await multi.exec();
+            }
+
+            const staleEntry = ()=> new errors.StaleEntry(
+                `${this.name}:${id} was changed since it was loaded`, {model: this.name, id}
+            );
+            const notFound = ()=> new errors.EntryNotFound(
+                `${this.name}:${id} does not exist`, {model: this.name, id: String(id)}
+            );
+
+            const retry = Symbol('retry');
+            const attempt = ()=> withWatchClient(async connection=>{
+                const hashKey = redisPrefix(`${this.name}_${id}`);
+                await connection.WATCH(hashKey);
+
+                if(watch && !await connection.EXISTS(hashKey)){
+                    await connection.UNWATCH();
+                    throw notFound();
+                }
+
+                if(this._versioned){
+                    const stored = await connection.HGET(hashKey, '_version');
+                    if(Number(stored || 0) !== Number(version || 0)){
+                        await connection.UNWATCH();
+                        throw staleEntry();
+                    }
+                }
+
+                const multi = connection.multi();
+                build(multi);
+                try{
+                    return await multi.exec();
+                }catch(error){
+                    if(error && error.constructor.name === 'WatchError'){
+                        if(watch && !await connection.EXISTS(hashKey)) throw notFound();
+                        if(!this._versioned) return retry;
+                        throw staleEntry();
+                    }
+                    throw error;
+                }
+            });
+
+            let result;
+            do{
+                result = await attempt();
+            }while(result === retry);
+
+            return result;
+        }
+
+        // Check `data` against the _keyMap schema, see processKeys(). A
+        // ValidationError is tagged with the model and the entry id.
+        static _validate(data, partial, id){
+            try{
+                return objValidate.processKeys(this._keyMap, data, partial);
+            }catch(error){
+                if(error instanceof errors.ValidationError){
+                    error.model = this.name;
+                    if(id !== undefined && id !== null) error.id = String(id);
+                }
+                throw error;
+            }
+        }
+
+        // Turn a raw entry hash into the values of a new instance. Library
+        // metadata fields (prefixed with `_`) are restored alongside.
+        static _fromHash(hash){
+            const data = objValidate.parseFromString(this._keyMap, hash);
+            if('_version' in data) data._version = Number(data._version);
+            if('_schemaVersion' in data) data._schemaVersion = Number(data._schemaVersion);
+            // Stamped by a soft remove(), unless the model declares its own field.
+            if('deletedAt' in data && !this._keyMap.deletedAt) data.deletedAt = new Date(Number(data.deletedAt));
+
+            return data;
+        }
+
+        // Version of the _keyMap that entries are written for. Entries stored
+        // at an older version are upgraded with `migrations` when they are
+        // loaded, or all at once with migrate().
+        static _schemaVersion = 1;
+
+        // Upgrade steps keyed by the version they produce: `migrations[n]` is
+        // called with the stored fields of an entry at version n - 1 and
+        // returns (or changes in place) the fields at version n.
+        static migrations = {};
+
+        // The schema version an entry hash was written at. Entries written
+        // before the model had one are at version 1.
+        static _hashSchemaVersion(hash){
+            return hash._schemaVersion ? Number(hash._schemaVersion) : 1;
+        }
+
+        /**
+         * Bring the entry hash `hash` of `id` up to _schemaVersion and return
+         * the upgraded hash. The migrated fields are validated against
+         * _keyMap like create() would (filling in defaults), then written back
+         * with their index and unique value changes, unless `dryRun`. Current
+         * hashes are returned as they are; null means the entry was removed
+         * while it was being upgraded.
+         */
+        static async _upgrade(id, hash, dryRun){
+            if(this._hashSchemaVersion(hash) >= this._schemaVersion) return hash;
+
+            // Migrations only see the entry's own fields, never the `_`
+            // prefixed library metadata or the `deletedAt` stamp of a soft
+            // remove(), which are kept as they are.
+            const stamped = this._softDelete && !this._keyMap.deletedAt;
+            const stored = {};
+            for(const [key, value] of Object.entries(hash)){
+                if(key.startsWith('_') || (stamped && key === 'deletedAt')) continue;
+                stored[key] = value;
+            }
+
+            let record = {...stored};
+            for(let version = this._hashSchemaVersion(hash) + 1; version <= this._schemaVersion; version++){
+                if(typeof this.migrations[version] !== 'function'){
+                    throw new Error(`${this.name} has no migration to version ${version}`);
+                }
+                const result = await this.migrations[version].call(this, record);
+                if(result !== undefined) record = result;
+            }
+
+            const data = this._validate(
+                objValidate.parseFromString(this._keyMap, this._toHash(record)), false, id
+            );
+            if(String(data[this._key]) !== String(id)){
+                throw new Error(`${this.name} migrations can not change the primary key of ${id}`);
+            }
+
+            const fields = this._toHash(data);
+            fields._schemaVersion = String(this._schemaVersion);
+            if(this._versioned) fields._version = String(Number(hash._version || 0) + 1);
+
+            const upgraded = {...hash, ...fields};
+            const dropped = Object.keys(stored).filter(key => !(key in fields));
+            for(const key of dropped) delete upgraded[key];
+            if(dryRun) return upgraded;
+
+            const hashKey = redisPrefix(`${this.name}_${id}`);
+            const oldClaims = this._uniqueKeysOf(stored);
+            const newClaims = this._uniqueKeysOf(data);
+            const pttl = await client.PTTL(hashKey);
+            const claimed = {};
+            for(const field of this._uniqueFields()){
+                if(data[field] === undefined || data[field] === null) continue;
+                if(!oldClaims.includes(this._uniqueKey(field, data[field]))) claimed[field] = data[field];
+            }
+            const claims = await this._claimUnique(id, claimed, pttl > 0 ? pttl : 0);
+
+            // Write only if the hash is still the one that was migrated; a
+            // concurrent write or remove starts the upgrade over.
+            const written = await withWatchClient(async connection => {
+                await connection.WATCH(hashKey);
+                const current = await connection.HGETALL(hashKey);
+                if(JSON.stringify(current) !== JSON.stringify(hash)){
+                    await connection.UNWATCH();
+                    return false;
+                }
+
+                const multi = connection.multi();
+                if(dropped.length) multi.HDEL(hashKey, dropped);
+                multi.HSET(hashKey, fields);
+                this._queueRelease(multi, oldClaims.filter(key => !newClaims.includes(key)), id);
+                this._keepUnique(multi, claims, pttl);
+                this._indexRemove(multi, id, stored);
+                this._indexAdd(multi, id, data);
+                const changed = Object.keys(fields)
+                    .filter(key => !key.startsWith('_') && fields[key] !== hash[key]);
+                this._publishEvent(multi, id, 'update', [...changed, ...dropped]);
+
+                try{
+                    await multi.exec();
+                    return true;
+                }catch(error){
+                    if(error && error.constructor.name === 'WatchError') return false;
+                    throw error;
+                }
+            });
+
+            if(written) return upgraded;
+
+            await this._releaseUnique(claims, id);
+            const current = await client.HGETALL(hashKey);
+            if(!current || !Object.keys(current).length) return null;
+            return await this._upgrade(id, current, dryRun);
+        }
+
+        /**
+         * Upgrade every stored entry to _schemaVersion, walking the index SET
+         * (and the trash of a _softDelete model) with SSCAN and reading
+         * `batchSize` entries at a time. With `dryRun` the migrations and
+         * validation run but nothing is written. Returns {scanned, migrated,
+         * failed}, where `failed` lists {id, error} for the entries whose
+         * migration threw; the others are still upgraded.
+         */
+        static async migrate(options){
+            const {batchSize = this._batchSize, dryRun = false} = options || {};
+            const report = {scanned: 0, migrated: 0, failed: []};
+
+            const sets = [redisPrefix(this.name)];
+            if(this._softDelete) sets.push(this._trashKey());
+
+            for(const set of sets) await this._migrateSet(set, batchSize, dryRun, report);
+
+            return report;
+        }
+
+        // Upgrade the entries whose ids are in `set`, adding to `report`.
+        static async _migrateSet(set, batchSize, dryRun, report){
+            let cursor = '0';
+            do{
+                const step = await this._scanIds(cursor, batchSize, set);
+                cursor = step.cursor;
+                if(!step.ids.length) continue;
+
+                const pipeline = client.multi();
+                for(const id of step.ids) pipeline.HGETALL(redisPrefix(`${this.name}_${id}`));
+                const hashes = await pipeline.execAsPipeline();
+
+                for(const [position, id] of step.ids.entries()){
+                    const hash = hashes[position];
+                    if(!hash || !Object.keys(hash).length) continue;
+
+                    report.scanned++;
+                    if(this._hashSchemaVersion(hash) >= this._schemaVersion) continue;
+
+                    try{
+                        if(await this._upgrade(id, hash, dryRun)) report.migrated++;
+                    }catch(error){
+                        report.failed.push({id, error});
+                    }
+                }
+            }while(cursor !== '0');
+        }
+
+        // Redis SET holding the ids of every entry whose `field` equals
+        // `value`. Only maintained for _keyMap fields flagged `index: true`.
+        static _fieldIndexKey(field, value){
+            return redisPrefix(`${this.name}:${field}:${objValidate.parseToString(value)}`);
+        }
+
+        // Redis SET of every value stored for the indexed `field`, so its
+        // value sets can be listed without a SCAN. A value is removed with
+        // its last entry, see _queuePruneValue().
+        static _valuesKey(field){
+            return redisPrefix(`${this.name}::values:${field}`);
+        }
+
+        // Queue on `target` (a MULTI, or the client) the removal of `value`
+        // from the values SET of `field` if no entry holds it any more.
+        static _queuePruneValue(target, field, value){
+            return target.EVAL(PRUNE_VALUE, {
+                keys: [this._fieldIndexKey(field, value), this._valuesKey(field)],
+                arguments: [objValidate.parseToString(value)],
+            });
+        }
+
+        static _indexedFields(){
+            const keyMap = this._keyMap || {};
+            return Object.keys(keyMap).filter(key => keyMap[key] && keyMap[key].index);
+        }
+
+        // Redis ZSET of every entry id scored by its `field` value. Only
+        // maintained for number fields flagged `sorted: true`.
+        static _sortedIndexKey(field){
+            return redisPrefix(`${this.name}:${field}`);
+        }
+
+        static _sortedFields(){
+            const keyMap = this._keyMap || {};
+            return Object.keys(keyMap)
+                .filter(key => keyMap[key] && keyMap[key].sorted && SORTABLE_TYPES.includes(keyMap[key].type));
+        }
+
+        // Redis SET of the ids whose `field` contains the word `word`, for
+        // string fields flagged `searchable: true`.
+        static _searchKey(field, word){
+            return redisPrefix(`${this.name}::search:${field}:${word}`);
+        }
+
+        // ZSET of every word indexed for `field`, all scored 0, so prefix
+        // searches can expand a term with ZRANGE BYLEX. Words are not removed
+        // when their last entry goes; reindex() drops them.
+        static _termsKey(field){
+            return redisPrefix(`${this.name}::terms:${field}`);
+        }
+
+        static _searchableFields(){
+            const keyMap = this._keyMap || {};
+            return Object.keys(keyMap)
+                .filter(key => keyMap[key] && keyMap[key].searchable && keyMap[key].type === 'string');
+        }
+
+        // Queue on `multi` the commands adding `id` to the value set of every
+        // indexed field present in `data`, to the ZSET of every sorted field
+        // and to the word sets of every searchable field.
+        static _indexAdd(multi, id, data){
+            for(const field of this._indexedFields()){
+                if(data[field] === undefined || data[field] === null) continue;
+                multi.SADD(this._fieldIndexKey(field, data[field]), id);
+                multi.SADD(this._valuesKey(field), objValidate.parseToString(data[field]));
+            }
+            for(const field of this._sortedFields()){
+                const score = toScore(data[field]);
+                if(typeof score !== 'number' || isNaN(score)) continue;
+                multi.ZADD(this._sortedIndexKey(field), {score, value: id});
+            }
+            for(const field of this._searchableFields()){
+                for(const word of tokenize(data[field])){
+                    multi.SADD(this._searchKey(field, word), id);
+                    multi.ZADD(this._termsKey(field), {score: 0, value: word});
+                }
+            }
+        }
+
+        // Queue on `multi` the commands removing `id` from the value set of
+        // every indexed field in `data`, from the ZSET of every sorted field
+        // and from the word sets of every searchable field.
+        static _indexRemove(multi, id, data){
+            for(const field of this._indexedFields()){
+                if(data[field] === undefined || data[field] === null) continue;
+                multi.SREM(this._fieldIndexKey(field, data[field]), id);
+                this._queuePruneValue(multi, field, data[field]);
+            }
+            for(const field of this._sortedFields()){
+                if(!(field in data)) continue;
+                multi.ZREM(this._sortedIndexKey(field), id);
+            }
+            for(const field of this._searchableFields()){
+                for(const word of tokenize(data[field])) multi.SREM(this._searchKey(field, word), id);
+            }
+        }
+
+        // Redis string key holding the id of the entry that has taken `value`
+        // for a `unique: true` field. It carries the same TTL as the entry's
+        // hash, so a value held by an expired entry is freed with it.
+        static _uniqueKey(field, value){
+            return redisPrefix(`${this.name}::unique:${field}:${objValidate.parseToString(value)}`);
+        }
+
+        static _uniqueFields(){
+            const keyMap = this._keyMap || {};
+            return Object.keys(keyMap).filter(key => keyMap[key] && keyMap[key].unique);
+        }
+
+        // The unique value keys currently held by the values in `data`.
+        static _uniqueKeysOf(data){
+            return this._uniqueFields()
+                .filter(field => data[field] !== undefined && data[field] !== null)
+                .map(field => this._uniqueKey(field, data[field]));
+        }
+
+        /**
+         * Claim the values of every unique field in `data` for entry `id`,
+         * expiring after `pttl` milliseconds when it is positive. SET NX makes
+         * each claim atomic, so two concurrent writes can never both get the
+         * same value. On a conflict every claim made by this call is released
+         * and an EntryNameUsed error is thrown. Returns the claimed keys so the
+         * caller can release them if its own write fails.
+         *
+         * Without `pttl` a claim still expires after _claimTimeout, so a
+         * process that dies before its transaction commits does not hold the
+         * value for good; the transaction keeps it with _keepUnique().
+         */
+        static async _claimUnique(id, data, pttl){
+            const claims = [];
+
+            for(const field of this._uniqueFields()){
+                if(data[field] === undefined || data[field] === null) continue;
+
+                const key = this._uniqueKey(field, data[field]);
+                const options = {NX: true, PX: pttl > 0 ? pttl : this._claimTimeout};
+
+                if(await client.SET(key, String(id), options)){
+                    claims.push(key);
+                    continue;
+                }
+                if(await client.GET(key) === String(id)) continue;
+
+                await this._releaseUnique(claims, id);
+
+                const message = `${this.name}.${field}:${objValidate.parseToString(data[field])} already exists`;
+                throw new errors.EntryNameUsed(message, {
+                    model: this.name, id: String(id), errors: [{key: field, message}]
+                });
+            }
+
+            return claims;
+        }
+
+        // Milliseconds a claim taken without a TTL lasts until the write
+        // that took it commits.
+        static _claimTimeout = 60 * 1000;
+
+        // Queue on `multi` the removal of the expiry _claimUnique() gave
+        // `claims`, when the entry they are for has no TTL.
+        static _keepUnique(multi, claims, pttl){
+            if(pttl > 0) return;
+            for(const key of claims) multi.PERSIST(key);
+        }
+
+        // Free the unique value keys `claims` that still hold entry `id`. A
+        // key another entry has taken since is left alone.
+        static async _releaseUnique(claims, id){
+            await this._queueRelease(client, claims, id);
+        }
+
+        // Queue on `target` (a MULTI, or the client) the release of `claims`
+        // by entry `id`, see _releaseUnique().
+        static _queueRelease(target, claims, id){
+            if(!claims.length) return;
+            return target.EVAL(RELEASE_CLAIMS, {keys: claims, arguments: [String(id)]});
+        }
+
+        // Stringify `data` into the field/value object a single HSET takes,
+        // leaving out undefined values.
+        static _toHash(data){
+            const fields = {};
+            for(const key of Object.keys(data)){
+                if(data[key] === undefined) continue;
+                fields[key] = objValidate.parseToString(data[key]);
+            }
+            return fields;
+        }
+
+        // Index keys that can answer the exact-match filter `options`.
+        static _filterIndexKeys(options){
+            const indexed = this._indexedFields();
+            return Object.keys(options || {})
+                .filter(field => indexed.includes(field))
+                .map(field => this._fieldIndexKey(field, options[field]));
+        }
+
+        // Ids that may satisfy `options`. Indexed fields are answered with a
+        // SINTER over their value sets, anything else falls back to every id
+        // in the table. Callers still check the full filter against each entry.
+        static async _candidateIds(options){
+            const keys = this._filterIndexKeys(options);
+            if(!keys.length) return await this.list();
+
+            await ensureClientReady();
+            return await client.SINTER(keys);
+        }
+
+        /**
+         * Return the entries whose sorted `field` lies between `min` and `max`
+         * (inclusive, pass '(10' for an exclusive bound), in score order.
+         * `options` takes {limit, offset, reverse}.
+         */
+        static async range(field, min, max, options){
+            if(!this._sortedFields().includes(field)){
+                throw new Error(`${this.name}.${field} is not a sorted field`);
+            }
+
+            await ensureClientReady();
+
+            options = options || {};
+            min = min === undefined || min === null ? -Infinity : toScore(min);
+            max = max === undefined || max === null ? Infinity : toScore(max);
+
+            const rangeOptions = {BY: 'SCORE'};
+            if(options.reverse) rangeOptions.REV = true;
+            if(options.limit !== undefined || options.offset){
+                rangeOptions.LIMIT = {
+                    offset: options.offset || 0,
+                    count: options.limit !== undefined ? options.limit : -1,
+                };
+            }
+
+            // With REV Redis expects the bounds high to low.
+            const key = this._sortedIndexKey(field);
+            const ids = options.reverse
+                ? await client.ZRANGE(key, max, min, rangeOptions)
+                : await client.ZRANGE(key, min, max, rangeOptions);
+
+            return await this._loadMatching(ids, {include: relationSpec(options), zsetKeys: [key]});
+        }
+
+        /**
+         * Find the entries whose searchable fields contain the words of
+         * `text`, best match first. Words are matched whole, or as the start
+         * of indexed words with `prefix`. Options:
+         *   fields - searchable fields to look in (default: all of them)
+         *   mode   - 'all' to require every word (default), 'any' for one
+         *   prefix - true to match words starting with each term
+         *   limit  - maximum number of entries to return
+         * plus the {include, depth} relation options.
+         */
+        static async search(text, options){
+            options = options || {};
+
+            const searchable = this._searchableFields();
+            const fields = options.fields || searchable;
+            for(const field of fields){
+                if(!searchable.includes(field)){
+                    throw new Error(`${this.name}.${field} is not a searchable field`);
+                }
+            }
+            const mode = options.mode || 'all';
+            if(!['all', 'any'].includes(mode)){
+                throw new Error(`Unknown search mode ${mode}`);
+            }
+
+            await ensureClientReady();
+
+            const terms = tokenize(text);
+            if(!terms.length || !fields.length) return [];
+
+            // The word sets to read for each term and field.
+            const pairs = terms.flatMap(term => fields.map(field => ({term, field})));
+            let words = pairs.map(({term}) => [term]);
+            if(options.prefix){
+                const lookup = client.multi();
+                for(const {term, field} of pairs){
+                    lookup.ZRANGE(this._termsKey(field), `[${term}`, `[${term}\u{10FFFF}`, {BY: 'LEX'});
+                }
+                words = await lookup.execAsPipeline();
+            }
+
+            const keys = pairs.map(({field}, position) => words[position].map(word => this._searchKey(field, word)));
+            const pipeline = client.multi();
+            for(const group of keys){
+                if(group.length) pipeline.SUNION(group);
+            }
+            const replies = await pipeline.execAsPipeline();
+
+            // Regroup the ids found per term, one list per field.
+            let reply = 0;
+            const found = pairs.map((pair, position) => keys[position].length ? replies[reply++] : []);
+            const matches = terms.map((term, index) => found.slice(index * fields.length, (index + 1) * fields.length));
+
+            const ids = rank(matches, mode);
+            const limit = options.limit === undefined ? Infinity : options.limit;
+            const setKeys = keys.flat();
+
+            const out = [];
+            for(let start = 0; start < ids.length && out.length < limit; start += this._batchSize){
+                out.push(...await this._loadMatching(ids.slice(start, start + this._batchSize), {
+                    include: relationSpec(options),
+                    setKeys,
+                }));
+            }
+
+            return out.slice(0, limit);
+        }
+
+        /**
+         * Start a chainable query: `Model.where({age: {$gte: 18}}).sort('age')
+         * .limit(10)`. See src/query.js for the operators.
+         */
+        static where(filter){
+            return new Query(this, filter);
+        }
+
+        // Number of ids in the model index SET.
+        static async _total(){
+            await ensureClientReady();
+            return await client.SCARD(redisPrefix(this.name));
+        }
+
+        // The value set keys answering `filter` when every clause is an
+        // equality on an `index: true` field, otherwise null.
+        static _equalityIndexKeys(filter){
+            const indexed = this._indexedFields();
+            const keys = [];
+            for(const [field, value] of Object.entries(filter || {})){
+                const condition = toCondition(value);
+                if(!indexed.includes(field) || Object.keys(condition).join() !== '$eq') return null;
+                // Unset values are not indexed.
+                if(condition.$eq === undefined || condition.$eq === null) return null;
+                keys.push(this._fieldIndexKey(field, condition.$eq));
+            }
+            return keys;
+        }
+
+        /**
+         * Number of entries matching the where() `filter`. Without a filter
+         * this is a single SCARD, like `where().count()`. Equalities on
+         * indexed fields are answered from their value sets, checking only
+         * that the entries have not expired.
+         */
+        static async count(filter){
+            const keys = this._equalityIndexKeys(filter);
+            if(!keys) return await this.where(filter).count();
+            if(!keys.length) return await this._total();
+
+            // Intersecting with the index SET leaves out trashed entries.
+            await ensureClientReady();
+            const ids = await client.SINTER([redisPrefix(this.name), ...keys]);
+            return (await this._liveIds(ids, keys)).length;
+        }
+
+        /**
+         * Summarise the entries matching the where() `filter`. `spec` takes
+         * {groupBy, sum, avg, min, max}, each operation naming a field or a
+         * list of fields. Returns {count, sum, avg, min, max} with the
+         * requested operations keyed by field, or with `groupBy` a list of
+         * those with their `group` value, in group order. Counting the groups
+         * of an indexed field under an equality filter on indexed fields only
+         * reads the value sets; anything else loads the matching entries.
+         */
+        static async aggregate(spec, filter){
+            spec = spec || {};
+            const keyMap = this._keyMap || {};
+            const fields = OPERATIONS.flatMap(operation => fieldsOf(spec, operation));
+            if(spec.groupBy !== undefined) fields.push(spec.groupBy);
+            for(const field of fields){
+                if(!keyMap[field] || keyMap[field].model) throw new Error(`${this.name}.${field} is not a field`);
+            }
+
+            const keys = this._equalityIndexKeys(filter);
+            const countOnly = OPERATIONS.every(operation => !fieldsOf(spec, operation).length);
+            if(countOnly && keys && this._indexedFields().includes(spec.groupBy)){
+                return await this._countGroups(spec.groupBy, keys);
+            }
+
+            return aggregate(await this.where(filter)._load(), spec);
+        }
+
+        // Entry count per value of the indexed `field` among the live entries
+        // in the filter value sets `keys`, from the field's value sets. Entries
+        // without a value are counted under null, as aggregate() does.
+        static async _countGroups(field, keys){
+            await ensureClientReady();
+
+            const ids = keys.length ? await client.SINTER([redisPrefix(this.name), ...keys]) : await this.list();
+            const live = new Set(await this._liveIds(ids, keys));
+
+            const values = await client.SMEMBERS(this._valuesKey(field));
+            const pipeline = client.multi();
+            for(const value of values) pipeline.SMEMBERS(redisPrefix(`${this.name}:${field}:${value}`));
+            const members = values.length ? await pipeline.execAsPipeline() : [];
+
+            // Values whose sets were emptied by expiry cleanups are pruned.
+            const emptied = values.filter((value, position) => !members[position].length);
+            if(emptied.length){
+                const prune = client.multi();
+                for(const value of emptied) this._queuePruneValue(prune, field, value);
+                await prune.execAsPipeline();
+            }
+
+            const grouped = new Set();
+            const groups = values.map((value, position) => {
+                const matched = members[position].filter(id => live.has(id));
+                for(const id of matched) grouped.add(id);
+                return {
+                    group: objValidate.parseFromString(this._keyMap, {[field]: value})[field],
+                    count: matched.length,
+                };
+            });
+            groups.push({group: null, count: live.size - grouped.size});
+
+            return groups
+                .filter(group => group.count)
+                .sort((a, b) => compare(a.group, b.group));
+        }
+
+        /**
+         * Ids that may satisfy a where() filter, narrowed with whatever
+         * indexes cover its clauses: equality on `index: true` fields is a
+         * SINTER, `$in` a SUNION, and comparisons or equality on `sorted: true`
+         * fields a ZRANGE. Without a usable index every id is returned. The
+         * caller still checks the full filter on each entry.
+         */
+        static async _queryCandidates(filter){
+            await ensureClientReady();
+
+            const indexed = this._indexedFields();
+            const sorted = this._sortedFields();
+            const equalKeys = [], setKeys = [], zsetKeys = [];
+            const lists = [];
+
+            for(const [field, value] of Object.entries(filter || {})){
+                const condition = toCondition(value);
+
+                if(indexed.includes(field)){
+                    if('$eq' in condition){
+                        equalKeys.push(this._fieldIndexKey(field, condition.$eq));
+                        continue;
+                    }
+                    if(Array.isArray(condition.$in)){
+                        const keys = condition.$in.map(item => this._fieldIndexKey(field, item));
+                        setKeys.push(...keys);
+                        lists.push(keys.length ? await client.SUNION(keys) : []);
+                        continue;
+                    }
+                }
+
+                if(sorted.includes(field)){
+                    let min = -Infinity, max = Infinity;
+                    const [$eq, $gt, $gte, $lt, $lte] = ['$eq', '$gt', '$gte', '$lt', '$lte']
+                        .map(op => toScore(condition[op]));
+                    if(typeof $eq === 'number') min = max = $eq;
+                    if($gte !== undefined) min = $gte;
+                    if($gt !== undefined && !($gt < min)) min = `(${$gt}`;
+                    if($lte !== undefined) max = $lte;
+                    if($lt !== undefined && !($lt > max)) max = `(${$lt}`;
+                    if(min === -Infinity && max === Infinity) continue;
+
+                    const key = this._sortedIndexKey(field);
+                    zsetKeys.push(key);
+                    lists.push(await client.ZRANGE(key, min, max, {BY: 'SCORE'}));
+                }
+            }
+
+            if(equalKeys.length){
+                setKeys.push(...equalKeys);
+                lists.push(await client.SINTER(equalKeys));
+            }
+
+            if(!lists.length){
+                return {ids: await this.list(), setKeys, zsetKeys};
+            }
+
+            // Intersect the candidate lists, smallest first.
+            lists.sort((a, b) => a.length - b.length);
+            const others = lists.slice(1).map(list => new Set(list));
+            const ids = lists[0].filter(id => others.every(set => set.has(id)));
+
+            return {ids, setKeys, zsetKeys};
+        }
+
+        static _matches(instance, options){
+            return Object.keys(options || {}).every(key => instance[key] === options[key]);
+        }
+
+        /**
+         * Rebuild the secondary index sets of this model from the stored
+         * hashes. Needed once after adding `index: true`, `sorted: true` or
+         * `unique: true` to a field of a model that already has data, as
+         * existing entries are not in any index yet.
+         */
+        static async reindex(){
+            await ensureClientReady();
+
+            for(const field of this._indexedFields()){
+                for(const key of await this._scanKeys(redisPrefix(`${this.name}:${field}:*`))){
+                    await client.DEL(key);
+                }
+                await client.DEL(this._valuesKey(field));
+            }
+            for(const field of this._sortedFields()){
+                await client.DEL(this._sortedIndexKey(field));
+            }
+            for(const field of this._uniqueFields()){
+                for(const key of await this._scanKeys(redisPrefix(`${this.name}::unique:${field}:*`))){
+                    await client.DEL(key);
+                }
+            }
+            for(const field of this._searchableFields()){
+                for(const key of await this._scanKeys(redisPrefix(`${this.name}::search:${field}:*`))){
+                    await client.DEL(key);
+                }
+                await client.DEL(this._termsKey(field));
+            }
+
+            let count = 0;
+            for(const id of await this.list()){
+                const hash = await client.HGETALL(redisPrefix(`${this.name}_${id}`));
+                if(!hash || !Object.keys(hash).length) continue;
+                const data = objValidate.parseFromString(this._keyMap, hash);
+                const pttl = await client.PTTL(redisPrefix(`${this.name}_${id}`));
+                const multi = client.multi();
+                this._indexAdd(multi, id, data);
+                for(const key of this._uniqueKeysOf(data)){
+                    // First entry wins if existing data already has duplicates.
+                    multi.SET(key, id, pttl > 0 ? {NX: true, PX: pttl} : {NX: true});
+                }
+                await multi.exec();
+                count++;
+            }
+
+            return count;
+        }
+
+        // How create() fills in a missing primary key: 'uuid', 'increment' (a
+        // per-model INCR counter) or a (possibly async) function called with
+        // the data being created. null means the caller must supply it.
+        static _keyGenerator = null;
+
+        // Redis string counting the ids handed out by 'increment'.
+        static _counterKey(){
+            return redisPrefix(`${this.name}::counter`);
+        }
+
+        static async _generateKey(data){
+            if(this._keyGenerator === 'uuid'){
+                return crypto.randomUUID();
+            }
+            if(this._keyGenerator === 'increment'){
+                const next = await client.INCR(this._counterKey());
+                const keyType = this._keyMap[this._key] && this._keyMap[this._key].type;
+                return keyType === 'number' ? Number(next) : String(next);
+            }
+            if(typeof this._keyGenerator === 'function'){
+                return await this._keyGenerator(data);
+            }
+
+            throw new Error(`${this.name} has an unknown _keyGenerator: ${this._keyGenerator}`);
+        }
+
+        // Lifecycle hooks, keyed by event. Each value is a function or an
+        // array of functions. See _runHooks() for the events.
+        static hooks = {};
+
+        // Register a hook for `event` on this model (and its subclasses).
+        static on(event, fn){
+            if(!HOOK_EVENTS.includes(event)){
+                throw new Error(`${this.name} has no ${event} hook`);
+            }
+            if(!Object.prototype.hasOwnProperty.call(this, '_hookHandlers')){
+                this._hookHandlers = {};
+            }
+            (this._hookHandlers[event] = this._hookHandlers[event] || []).push(fn);
+            return this;
+        }
+
+        // Every hook for `event`, from the base class down to this model, so
+        // hooks declared by parent classes and mixins all run.
+        static _hooksFor(event){
+            const chain = [];
+            for(let Model = this; Model && Model !== Table; Model = Object.getPrototypeOf(Model)){
+                chain.unshift(Model);
+            }
+
+            const out = [];
+            for(const Model of [Table, ...chain]){
+                for(const source of ['hooks', '_hookHandlers']){
+                    if(!Object.prototype.hasOwnProperty.call(Model, source)) continue;
+                    if(Model[source] && Model[source][event]) out.push(...[].concat(Model[source][event]));
+                }
+            }
+
+            return out;
+        }
 
-        // Default record lifetime, in seconds, for every entry of this model.
-        // 0 (or falsy) means no expiry. Can be overridden per operation via a
-        // {ttl} option on create()/update() or the instance expire() helper.
-        static _ttl = 0;
+        /**
+         * Run the hooks for `event` in order, awaiting each one with the model
+         * as `this`. A before hook may return a replacement for `value` (the
+         * data being written); the final value is returned. Events:
+         *   beforeCreate(data)           afterCreate(data, instance)
+         *   beforeUpdate(data, instance) afterUpdate(data, instance)
+         *   beforeRemove(instance)       afterRemove(instance)
+         *   afterLoad(instance)          expired(id)
+         */
+        static async _runHooks(event, value, ...args){
+            for(const hook of this._hooksFor(event)){
+                const result = await hook.call(this, value, ...args);
+                if(result !== undefined && event.startsWith('before')) value = result;
+            }
 
-        // Resolve the effective TTL (seconds) for an operation. A per-call
-        // options.ttl wins over the model default. The typeof guard tolerates a
-        // non-object second argument (e.g. create(data, true)) so positional
-        // callers do not crash or accidentally set a TTL.
-        static _resolveTTL(options){
-            let ttl = options && typeof options === 'object' ? options.ttl : undefined;
-            return ttl !== undefined ? ttl : this._ttl;
+            return value;
         }
 
         static models = {}
@@ -79,7 +1334,7 @@ function setUpTable(client, prefix='', connectionPromise=null){
             }
         }
 
-        static async get(index, queryHelper){
+        static async get(index, options){
             try{
                 // Ensure client is connected before proceeding
                 await ensureClientReady();
@@ -93,19 +1348,31 @@ function setUpTable(client, prefix='', connectionPromise=null){
                 );
 
                 if(!result || !Object.keys(result).length){
-                    let error = new Error('EntryNotFound');
-                    error.name = 'EntryNotFound';
-                    error.message = `${this.prototype.constructor.name}:${index} does not exists`;
-                    error.status = 404;
-                    throw error;
+                    throw new errors.EntryNotFound(`${this.name}:${index} does not exist`, {
+                        model: this.name, id: String(index)
+                    });
+                }
+
+                // Bring entries stored at an older schema version up to date.
+                result = await this._upgrade(index, result);
+                if(!result){
+                    throw new errors.EntryNotFound(`${this.name}:${index} does not exist`, {
+                        model: this.name, id: String(index)
+                    });
                 }
 
                 // Redis always returns strings, use the keyMap schema to turn them
                 // back to native values.
-                result = objValidate.parseFromString(this._keyMap, result);
+                result = this._fromHash(result);
 
                 let instance = new this(result);
-                await instance.buildRelations(queryHelper);
+                if(this._isTrashed(instance) && !(options && options.withDeleted)){
+                    throw new errors.EntryNotFound(`${this.name}:${index} does not exist`, {
+                        model: this.name, id: String(index)
+                    });
+                }
+                await this._runHooks('afterLoad', instance);
+                await instance.buildRelations(...relationArgs(options));
 
                 return instance;
             }catch(error){
@@ -113,33 +1380,327 @@ function setUpTable(client, prefix='', connectionPromise=null){
             }
         }
 
-        async buildRelations(queryHelper){
+        async buildRelations(queryHelper, include){
+            await this.constructor._buildRelationsBatch([this], queryHelper, include);
+        }
+
+        // Resolve the relations of `instances` (all of this model) selected by
+        // the relation spec `include` (see relationSpec(); default: all of
+        // them), at once: one pipelined load per relation field rather than
+        // one per instance.
+        static async _buildRelationsBatch(instances, queryHelper, include){
+            if(!instances.length) return;
+
+            include = include || relationSpec();
+            if(include.depth < 1) return;
+
+            if(include.fields !== true){
+                for(const field of Object.keys(include.fields)){
+                    const options = this._keyMap[field];
+                    if(!options || !options.model){
+                        throw new Error(`${this.name} has no relation ${field}`);
+                    }
+                }
+            }
+
             // Create QueryHelper if not provided
             if(!queryHelper){
-                queryHelper = new QueryHelper(this);
+                queryHelper = new QueryHelper(instances[0]);
             }
 
-            for(let [key, options] of Object.entries(this.constructor._keyMap)){
-                if(options.model){
-                    let remoteModel = this.constructor.models[options.model]
-                    try{
-                        if(!QueryHelper.isNotCycle(remoteModel.name, queryHelper)) continue;
-                        if(options.rel === 'one'){
-                            this[key] = await remoteModel.get(this[key] || this[options.localKey || this.constructor._key] , queryHelper)
-                        }
-                        if(options.rel === 'many'){
-                            this[key] = await remoteModel.listDetail({
-                                [options.remoteKey]: this[options.localKey || this.constructor._key],
-                            }, queryHelper)
+            for(let [key, options] of Object.entries(this._keyMap)){
+                if(!options.model) continue;
+                if(include.fields !== true && !Object.prototype.hasOwnProperty.call(include.fields, key)) continue;
 
-                        }
-                    }catch(error){
-                        // Silently ignore relation loading errors (record may not exist)
+                // A relation to a model that is not registered (yet) is only
+                // an error when it was asked for by name.
+                let remoteModel = this.models[options.model];
+                if(!remoteModel){
+                    if(include.fields === true) continue;
+                    throw new Error(`${this.name}.${key} refers to ${options.model}, which is not registered`);
+                }
+
+                // Explicitly included paths are finite, so cycle detection is
+                // only needed when every relation is loaded.
+                if(include.fields === true && !QueryHelper.isNotCycle(remoteModel.name, queryHelper)) continue;
+
+                const next = {
+                    fields: include.fields === true ? true : include.fields[key],
+                    depth: include.depth - 1,
+                };
+
+                if(options.rel === 'one'){
+                    const fks = new Map();
+                    for(const instance of instances){
+                        const fk = instance[key] || instance[options.localKey || this._key];
+                        if(fk !== undefined && fk !== null) fks.set(instance, String(fk));
+                    }
+
+                    const remotes = await remoteModel._loadMatching(
+                        [...new Set(fks.values())], {queryHelper, include: next}
+                    );
+                    const byKey = new Map(remotes.map(remote => [String(remote[remoteModel._key]), remote]));
+
+                    // Targets that do not exist leave the field as it was.
+                    for(const [instance, fk] of fks){
+                        if(byKey.has(fk)) instance[key] = byKey.get(fk);
+                    }
+                }
+                if(options.rel === 'many'){
+                    const groups = new Map();
+                    for(const instance of instances){
+                        groups.set(instance[options.localKey || this._key], []);
+                    }
+
+                    // With an indexed remoteKey only the matching ids are
+                    // read, otherwise every remote entry is checked.
+                    let ids, indexKeys = [];
+                    if(remoteModel._indexedFields().includes(options.remoteKey)){
+                        indexKeys = [...groups.keys()]
+                            .filter(value => value !== undefined && value !== null)
+                            .map(value => remoteModel._fieldIndexKey(options.remoteKey, value));
+                        ids = indexKeys.length ? await client.SUNION(indexKeys) : [];
+                    }else{
+                        ids = await remoteModel.list();
+                    }
+
+                    const remotes = await remoteModel._loadMatching(ids, {
+                        filter: remote => groups.has(remote[options.remoteKey]),
+                        queryHelper,
+                        include: next,
+                        setKeys: indexKeys,
+                    });
+                    for(const remote of remotes){
+                        groups.get(remote[options.remoteKey]).push(remote);
                     }
+
+                    for(const instance of instances){
+                        instance[key] = groups.get(instance[options.localKey || this._key]);
+                    }
+                }
+                if(options.rel === 'manyToMany'){
+                    const linkKeys = instances.map(instance => this._linkKey(key, instance[this._key]));
+                    const pipeline = client.multi();
+                    for(const linkKey of linkKeys) pipeline.SMEMBERS(linkKey);
+                    const members = await pipeline.execAsPipeline();
+
+                    // Ids of expired remote entries are dropped from the link
+                    // sets they were found in.
+                    const remotes = await remoteModel._loadMatching([...new Set(members.flat())], {
+                        queryHelper,
+                        include: next,
+                        setKeys: linkKeys,
+                    });
+                    const byKey = new Map(remotes.map(remote => [String(remote[remoteModel._key]), remote]));
+
+                    instances.forEach((instance, position)=>{
+                        instance[key] = members[position]
+                            .filter(id => byKey.has(id))
+                            .map(id => byKey.get(id));
+                    });
+                }
+            }
+        }
+
+        // Redis SET of the ids linked to entry `id` through one side of a
+        // many-to-many relation. `side` is the relation field, or for a
+        // relation declared only on the other model, `<Model>.<field>`.
+        static _linkKey(side, id){
+            return redisPrefix(`${this.name}::link:${side}:${id}`);
+        }
+
+        /**
+         * Every many-to-many link set family this model takes part in:
+         *   - its own `rel: 'manyToMany'` fields;
+         *   - those of registered models that point at it without an
+         *     `inverse` field on this model, kept under `<Model>.<field>`.
+         * Returns [{side, Remote, remoteSide}], where `remoteSide` names the
+         * paired link sets on the Remote model.
+         */
+        static _linkSides(){
+            const sides = [];
+            const keyMap = this._keyMap || {};
+
+            for(const [field, options] of Object.entries(keyMap)){
+                if(!options || options.rel !== 'manyToMany') continue;
+                const Remote = this.models[options.model];
+                if(!Remote) continue;
+                sides.push({side: field, Remote, remoteSide: options.inverse || `${this.name}.${field}`});
+            }
+
+            for(const Remote of Object.values(this.models)){
+                for(const [field, options] of Object.entries(Remote._keyMap || {})){
+                    if(!options || options.rel !== 'manyToMany' || options.model !== this.name) continue;
+                    const inverse = options.inverse && keyMap[options.inverse];
+                    if(inverse && inverse.rel === 'manyToMany') continue;
+                    sides.push({side: options.inverse || `${Remote.name}.${field}`, Remote, remoteSide: field});
+                }
+            }
+
+            return sides;
+        }
+
+        // The link side of a many-to-many `field`, throwing for any other field.
+        static _linkSide(field){
+            const side = this._linkSides().find(side => side.side === field);
+            const options = (this._keyMap || {})[field];
+            if(!side || !options || options.rel !== 'manyToMany'){
+                throw new Error(`${this.name}.${field} is not a manyToMany relation`);
+            }
+
+            return side;
+        }
+
+        // Read the members of every link set of entry `id`, ahead of a MULTI
+        // that moves or removes them. Returns [{...side, members}].
+        static async _linkMembers(id){
+            const sides = this._linkSides();
+            if(!sides.length) return [];
+
+            const pipeline = client.multi();
+            for(const {side} of sides) pipeline.SMEMBERS(this._linkKey(side, id));
+            const replies = await pipeline.execAsPipeline();
+
+            return sides.map((side, position) => ({...side, members: replies[position] || []}));
+        }
+
+        /**
+         * The onDelete rules that apply when an entry of this model is removed:
+         *   - `rel: 'many'` fields of this model, whose remote entries hold
+         *     this entry's localKey in their remoteKey field;
+         *   - `rel: 'one'` fields of registered models that point at this
+         *     model, holding this entry's primary key in their localKey field
+         *     (or the relation field itself).
+         * Returns [{Model, field, local, onDelete, via}] where `field` is the
+         * remote field holding the reference and `local` the field of this
+         * model it refers to.
+         */
+        static _deleteRules(){
+            const rules = [];
+            const check = (Model, field, options)=>{
+                if(!['cascade', 'restrict', 'setNull'].includes(options.onDelete)){
+                    throw new Error(`${Model.name}.${field} has an unknown onDelete: ${options.onDelete}`);
+                }
+            };
+
+            for(const [field, options] of Object.entries(this._keyMap || {})){
+                if(!options || !options.onDelete || options.rel !== 'many') continue;
+                check(this, field, options);
+                const Remote = this.models[options.model];
+                if(!Remote) continue;
+                rules.push({
+                    Model: Remote,
+                    field: options.remoteKey,
+                    local: options.localKey || this._key,
+                    onDelete: options.onDelete,
+                    via: `${this.name}.${field}`,
+                });
+            }
+
+            for(const Remote of Object.values(this.models)){
+                for(const [field, options] of Object.entries(Remote._keyMap || {})){
+                    if(!options || !options.onDelete || options.rel !== 'one') continue;
+                    if(options.model !== this.name) continue;
+                    check(Remote, field, options);
+                    rules.push({
+                        Model: Remote,
+                        field: options.localKey || field,
+                        local: this._key,
+                        onDelete: options.onDelete,
+                        via: `${Remote.name}.${field}`,
+                    });
+                }
+            }
+
+            return rules;
+        }
+
+        // Clear `field` on a referencing entry for onDelete: 'setNull',
+        // keeping its indexes in step.
+        static async _unsetField(instance, field, actor){
+            const id = String(instance[this._key]);
+            const hashKey = redisPrefix(`${this.name}_${id}`);
+            const stored = await client.HGETALL(hashKey);
+            // The stored value, which the instance may no longer hold.
+            const value = field in stored
+                ? this._fromHash({[field]: stored[field]})[field]
+                : instance[field];
+
+            await this._transaction(id, instance._version, multi=>{
+                multi.HDEL(hashKey, field);
+                this._recordHistory(multi, id, 'update', stored, {[field]: null}, actor);
+                this._indexRemove(multi, id, {[field]: value});
+                this._queueRelease(multi, this._uniqueKeysOf({[field]: value}), id);
+                if(this._versioned) multi.HINCRBY(hashKey, '_version', 1);
+                this._publishEvent(multi, id, 'update', [field]);
+            });
+        }
+
+        // Find the entries referencing `instance` under each onDelete rule,
+        // throwing EntryInUse if a restrict rule has any, here or anywhere
+        // down the cascade, so nothing is removed before the whole tree has
+        // been checked. `seen` holds the entries already checked. Returns a
+        // Map of rule to referencing entries, for _applyDeleteRules().
+        static async _checkDeleteRules(instance, seen){
+            seen = seen || new Set([`${this.name}_${instance[this._key]}`]);
+
+            const rules = this._deleteRules()
+                .filter(rule => instance[rule.local] !== undefined && instance[rule.local] !== null);
+            const referencing = new Map();
+            for(const rule of rules){
+                referencing.set(rule, await rule.Model.where({[rule.field]: instance[rule.local]})._load());
+            }
+
+            for(const rule of rules){
+                if(rule.onDelete !== 'restrict' || !referencing.get(rule).length) continue;
+
+                const message = `${this.name}:${instance[this._key]} is still referenced by ${rule.via}`;
+                throw new errors.EntryInUse(message, {
+                    model: this.name, id: String(instance[this._key]), errors: [{key: rule.via, message}]
+                });
+            }
+
+            for(const rule of rules){
+                if(rule.onDelete !== 'cascade') continue;
+                for(const remote of referencing.get(rule)){
+                    const key = `${rule.Model.name}_${remote[rule.Model._key]}`;
+                    if(seen.has(key)) continue;
+                    seen.add(key);
+                    await rule.Model._checkDeleteRules(remote, seen);
+                }
+            }
+
+            return referencing;
+        }
+
+        static async _applyDeleteRules(referencing){
+            // An entry reached by more than one rule is only handled once.
+            const handled = new Set();
+            for(const [rule, remotes] of referencing){
+                for(const remote of remotes){
+                    const key = `${rule.Model.name}_${remote[rule.Model._key]}`;
+                    if(handled.has(key)) continue;
+                    handled.add(key);
+
+                    if(rule.onDelete === 'cascade') await remote.remove();
+                    if(rule.onDelete === 'setNull') await rule.Model._unsetField(remote, rule.field);
                 }
             }
         }
 
+        // Make remove() move entries to a trash SET instead of deleting them.
+        // Trashed entries keep their hash, stamped with `deletedAt`, and are
+        // left out of reads until restore()d or purge()d.
+        static _softDelete = false;
+
+        static _trashKey(){
+            return redisPrefix(`${this.name}::trash`);
+        }
+
+        static _isTrashed(instance){
+            return this._softDelete && instance.deletedAt instanceof Date;
+        }
+
         static async exists(index){
             // Ensure client is connected before proceeding
             await ensureClientReady();
@@ -147,22 +1708,37 @@ function setUpTable(client, prefix='', connectionPromise=null){
             if(typeof index === 'object'){
                 index = index[this._key];
             }
+            // Redis takes ids as strings, whatever the type of the key field.
+            index = String(index);
 
             // "Exists" means the record is actually retrievable, i.e. its hash
             // is present. With TTL enabled the hash can expire while the id
             // lingers in the index SET; treat that as not-existing and SREM the
             // dangling member so the index self-heals.
-            const hashExists = Boolean(await client.EXISTS(
-                redisPrefix(`${this.prototype.constructor.name}_${index}`)
-            ));
+            const hashKey = redisPrefix(`${this.prototype.constructor.name}_${index}`);
+            const hashExists = Boolean(await client.EXISTS(hashKey));
+
+            if(!hashExists && await client.SREM(redisPrefix(this.prototype.constructor.name), index)){
+                await this._expired([index]);
+            }
 
-            if(!hashExists){
-                await client.SREM(redisPrefix(this.prototype.constructor.name), index);
+            // Entries in the trash are not retrievable either.
+            if(hashExists && this._softDelete && await client.HGET(hashKey, 'deletedAt') !== null){
+                return false;
             }
 
             return hashExists;
         }
 
+        // Whether `index` is held by an entry, including one in the trash.
+        static async _idTaken(index){
+            if(await this.exists(index)) return true;
+            if(!this._softDelete) return false;
+
+            if(typeof index === 'object') index = index[this._key];
+            return Boolean(await client.EXISTS(redisPrefix(`${this.name}_${index}`)));
+        }
+
         static async list(){
             // return a list of all the index keys for this table.
             try{
@@ -178,42 +1754,184 @@ function setUpTable(client, prefix='', connectionPromise=null){
             }
         }
 
-        static async listDetail(options, queryHelper){
-
+        static async listDetail(options, relations){
             // Return a list of the entries as instances.
-            let out = [];
+            const [queryHelper, include] = relationArgs(relations);
+            const withDeleted = Boolean(relations && relations.withDeleted);
+            const setKeys = this._filterIndexKeys(options);
+
+            let ids = await this._candidateIds(options);
+            // Trashed entries keep their field indexes, so only a listing
+            // without index filters has to add them.
+            if(withDeleted && this._softDelete && !setKeys.length){
+                ids = [...ids, ...await client.SMEMBERS(this._trashKey())];
+            }
 
-            for(let entry of await this.list()){
-                let instance;
-                try{
-                    instance = await this.get(entry, queryHelper);
-                }catch(error){
-                    // A TTL-expired hash leaves its id in the index SET. Drop the
-                    // dangling member and skip it rather than aborting the whole
-                    // listing over one missing entry.
-                    if(error && error.name === 'EntryNotFound'){
-                        await client.SREM(redisPrefix(this.prototype.constructor.name), entry);
-                        continue;
-                    }
-                    throw error;
-                }
-                if(!options) out.push(instance);
-                let matchCount = 0;
-                for(let option in options){
-                    if(instance[option] === options[option] && ++matchCount === Object.keys(options).length){
-                        out.push(instance);
-                        break;
-                    }
-                }
+            return await this._loadMatching(ids, {
+                filter: instance => this._matches(instance, options),
+                queryHelper,
+                include,
+                setKeys,
+                withDeleted,
+            });
+        }
+
+        // Number of entries read per pipelined round trip by listDetail(),
+        // range() and relation loading.
+        static _batchSize = 100;
+
+        // Read the hashes of `ids` in one pipelined round trip. Returns an array
+        // aligned with `ids`, holding an instance or null when the hash is gone.
+        static async _fetch(ids){
+            if(!ids.length) return [];
+
+            await ensureClientReady();
+
+            const pipeline = client.multi();
+            for(const id of ids){
+                pipeline.HGETALL(redisPrefix(`${this.name}_${id}`));
+            }
+
+            const hashes = await pipeline.execAsPipeline();
+            const instances = [];
+            for(const [position, id] of ids.entries()){
+                let hash = hashes[position];
+                if(hash && Object.keys(hash).length) hash = await this._upgrade(id, hash);
+                instances.push(hash && Object.keys(hash).length ? new this(this._fromHash(hash)) : null);
+            }
+
+            for(const instance of instances){
+                if(instance) await this._runHooks('afterLoad', instance);
+            }
+
+            return instances;
+        }
+
+        /**
+         * Load `ids` in pipelined batches of _batchSize, keeping the entries
+         * that pass `filter` and building their relations a batch at a time.
+         * Options:
+         *   filter      - predicate on each loaded instance (default: keep all)
+         *   queryHelper - relation walk to continue, if any
+         *   include     - relation spec of the relations to build
+         *   relations   - false to skip building relations
+         *   setKeys     - field index SETs the ids came from
+         *   zsetKeys    - sorted index ZSETs the ids came from
+         *   withDeleted - true to keep entries that are in the trash
+         */
+        static async _loadMatching(ids, options){
+            const {filter, queryHelper, include, relations, setKeys, zsetKeys, withDeleted} = options || {};
+            const out = [];
+
+            for(let start = 0; start < ids.length; start += this._batchSize){
+                const batch = ids.slice(start, start + this._batchSize);
+                const instances = await this._fetch(batch);
+
+                // A TTL-expired hash leaves its id in the index SET, and in any
+                // field index it was found through. Drop the dangling members
+                // and skip them rather than aborting the whole listing.
+                const missing = batch.filter((id, position) => !instances[position]);
+                await this._dropMissing(missing, setKeys, zsetKeys);
+
+                const matched = instances.filter(instance => instance
+                    && (withDeleted || !this._isTrashed(instance))
+                    && (!filter || filter(instance)));
+                if(relations !== false) await this._buildRelationsBatch(matched, queryHelper, include);
+                out.push(...matched);
             }
 
             return out;
         }
 
+        // Drop the `missing` ids, whose hashes are gone, from the index SET,
+        // the trash and the id sets they were found through.
+        static async _dropMissing(missing, setKeys, zsetKeys){
+            if(!missing.length) return;
+
+            const multi = client.multi();
+            for(const id of missing) multi.SREM(redisPrefix(this.name), id);
+            for(const key of setKeys || []) multi.SREM(key, missing);
+            for(const key of zsetKeys || []) multi.ZREM(key, missing);
+            if(this._softDelete) multi.SREM(this._trashKey(), missing);
+            const replies = await multi.exec();
+
+            // Whoever drops the id from the index SET reports the
+            // expiry, so each one is published once.
+            await this._expired(missing.filter((id, position) => replies[position]));
+        }
+
+        // The ids of `ids` whose hash still exists, checked in pipelined
+        // batches without reading the entries. The others are dropped as
+        // _loadMatching() does.
+        static async _liveIds(ids, setKeys){
+            const live = [];
+            for(let start = 0; start < ids.length; start += this._batchSize){
+                const batch = ids.slice(start, start + this._batchSize);
+                const pipeline = client.multi();
+                for(const id of batch) pipeline.EXISTS(redisPrefix(`${this.name}_${id}`));
+                const replies = await pipeline.execAsPipeline();
+
+                await this._dropMissing(batch.filter((id, position) => !replies[position]), setKeys);
+                live.push(...batch.filter((id, position) => replies[position]));
+            }
+            return live;
+        }
+
         static findall(...args){
             return this.listDetail(...args);
         }
 
+        // One SSCAN step over the index SET, or the id SET `key`. Returns the
+        // next cursor ('0' once the walk is complete) and the ids of this step.
+        static async _scanIds(cursor, count, key){
+            await ensureClientReady();
+
+            const reply = await client.SSCAN(
+                key || redisPrefix(this.name), String(cursor || '0'), {COUNT: count}
+            );
+            // node-redis returns {cursor, members}; tolerate the raw array form.
+            return {
+                cursor: String(reply.cursor !== undefined ? reply.cursor : reply[0]),
+                ids: reply.members !== undefined ? reply.members : reply[1],
+            };
+        }
+
+        /**
+         * Walk every entry with SSCAN, loading one page of ids at a time so the
+         * whole model is never held in memory. Yields instances.
+         * Options:
+         *   batchSize - SSCAN COUNT hint per page (default: _batchSize)
+         *   filter    - same filter as where(); non-matching entries are skipped
+         */
+        static async *iterate(options){
+            const {batchSize = this._batchSize, filter} = options || {};
+            let cursor = '0';
+
+            do{
+                const step = await this._scanIds(cursor, batchSize);
+                cursor = step.cursor;
+
+                yield* await this._loadMatching(step.ids, {
+                    filter: filter && (instance => matches(instance, filter)),
+                    include: relationSpec(options),
+                });
+            }while(cursor !== '0');
+        }
+
+        /**
+         * Read one page for cursor-based pagination. Pass the returned cursor
+         * back to get the next page; it is null once every entry was seen.
+         * `count` is a hint, so a page can hold more or fewer entries.
+         */
+        static async page(cursor, count){
+            const step = await this._scanIds(cursor, count || this._batchSize);
+
+            return {
+                cursor: step.cursor === '0' ? null : step.cursor,
+                items: await this._loadMatching(step.ids),
+            };
+        }
+
         // Scan every key matching a pattern, following the SCAN cursor to the
         // end. Returns a plain array of key names.
         static async _scanKeys(match){
@@ -268,6 +1986,8 @@ function setUpTable(client, prefix='', connectionPromise=null){
          * model-redis storage contract:
          *   <prefix><Model>       - SET of index values (source of truth)
          *   <prefix><Model>_<id>  - HASH of that entry's fields
+         *   <prefix><Model>::trash - SET of soft-deleted ids, whose hashes
+         *                           are not leaked
          *
          * Model families are discovered from the keyspace (not just the
          * registry), so unregistered-but-used models are still reconciled.
@@ -286,18 +2006,20 @@ function setUpTable(client, prefix='', connectionPromise=null){
             const allKeys = await this._scanKeys(redisPrefix('*'));
 
             // Discover index-set names: a key of the form <prefix><Name> where
-            // Name has no underscore (model class names never contain one).
+            // Name has no underscore or colon (model class names never contain
+            // one, field index sets always do).
             // Union with the registry so empty-but-registered models still show.
             const names = new Set(Object.keys(this.models));
             for(const key of allKeys){
                 const rest = key.slice(prefix.length);
-                if(rest.length && !rest.includes('_')){
+                if(rest.length && !rest.includes('_') && !rest.includes(':')){
                     if((await client.TYPE(key)) === 'set') names.add(rest);
                 }
+                // A model whose entries are all in the trash has only that set.
+                const trashed = rest.match(/^([^_:]+)::trash$/);
+                if(trashed) names.add(trashed[1]);
             }
 
-            // Longest name first so a hash is attributed to the most specific
-            // model prefix. The trailing underscore guard prevents ambiguity.
             const ordered = [...names].sort((a, b) => b.length - a.length);
 
             const family = {};
@@ -307,9 +2029,10 @@ function setUpTable(client, prefix='', connectionPromise=null){
             for(const key of allKeys){
                 const rest = key.slice(prefix.length);
                 if(family[rest] !== undefined) continue; // the index set itself
-                const owner = ordered.find(name => rest.startsWith(`${name}_`));
+                const owner = hashOwner(rest, ordered);
                 if(owner) family[owner].hashes.add(rest.slice(owner.length + 1));
-                else unclassified.push(key);
+                // <Name>:... keys are the model's own secondary index sets.
+                else if(!ordered.some(name => rest.startsWith(`${name}:`))) unclassified.push(key);
             }
 
             for(const name of ordered){
@@ -321,7 +2044,9 @@ function setUpTable(client, prefix='', connectionPromise=null){
             const totals = {leaked: 0, dangling: 0, brokenRelations: 0};
             for(const name of ordered){
                 const {members, hashes} = family[name];
-                const leaked = [...hashes].filter(id => !members.has(id));
+                // Soft-deleted entries are held by the trash SET instead.
+                const trash = new Set(await client.SMEMBERS(redisPrefix(`${name}::trash`)));
+                const leaked = [...hashes].filter(id => !members.has(id) && !trash.has(id));
                 const dangling = [...members].filter(id => !hashes.has(id));
                 const backed = [...members].filter(id => hashes.has(id));
 
@@ -330,96 +2055,358 @@ function setUpTable(client, prefix='', connectionPromise=null){
                     ? await this._relationOrphans(name, registered, backed)
                     : [];
 
-                models[name] = {
-                    registered: Boolean(registered),
-                    counts: {members: members.size, hashes: hashes.size},
-                    leaked,
-                    dangling,
-                    brokenRelations,
-                };
-                totals.leaked += leaked.length;
-                totals.dangling += dangling.length;
-                totals.brokenRelations += brokenRelations.length;
+                models[name] = {
+                    registered: Boolean(registered),
+                    counts: {members: members.size, hashes: hashes.size},
+                    leaked,
+                    dangling,
+                    brokenRelations,
+                };
+                totals.leaked += leaked.length;
+                totals.dangling += dangling.length;
+                totals.brokenRelations += brokenRelations.length;
+            }
+
+            return {prefix, models, unclassified, totals};
+        }
+
+        /**
+         * Remove the unambiguously-safe orphans only: dangling set members
+         * point at nothing, so SREM cannot lose data. Leaked hashes and broken
+         * relations still contain data and are left for manual review.
+         * Pass a report from findOrphans() to reuse it, or omit to compute one.
+         */
+        static async pruneOrphans(report){
+            report = report || await this.findOrphans();
+
+            let removedDangling = 0;
+            for(const [name, info] of Object.entries(report.models)){
+                for(const id of info.dangling){
+                    await client.SREM(redisPrefix(name), id);
+                    removedDangling++;
+                }
+            }
+
+            return {removedDangling};
+        }
+
+        /**
+         * Write the entries of every registered model, or of `models` (names
+         * or classes), to `stream` as NDJSON: one {model, id, ttl, fields}
+         * line per entry, with the raw hash values as `fields`, the remaining
+         * lifetime in seconds as `ttl` (0 for none) and, for entries with
+         * many-to-many links, their `links` by side. Trashed entries are
+         * included. The stream is left open. Resolves to the number of lines
+         * written.
+         */
+        static async dump(stream, options){
+            await ensureClientReady();
+
+            const {models} = options || {};
+            const list = (models || Object.values(this.models)).map(Model => {
+                if(typeof Model !== 'string') return Model;
+                if(!this.models[Model]) throw new Error(`${Model} is not a registered model`);
+                return this.models[Model];
+            });
+
+            let written = 0;
+            for(const Model of list){
+                const sets = [redisPrefix(Model.name)];
+                if(Model._softDelete) sets.push(Model._trashKey());
+
+                for(const key of sets){
+                    let cursor = '0';
+                    do{
+                        const page = await Model._scanIds(cursor, Model._batchSize, key);
+                        cursor = page.cursor;
+                        if(!page.ids.length) continue;
+
+                        const pipeline = client.multi();
+                        for(const id of page.ids){
+                            pipeline.HGETALL(redisPrefix(`${Model.name}_${id}`));
+                            pipeline.PTTL(redisPrefix(`${Model.name}_${id}`));
+                        }
+                        const replies = await pipeline.execAsPipeline();
+
+                        for(const [position, id] of page.ids.entries()){
+                            const fields = replies[position * 2];
+                            const pttl = replies[position * 2 + 1];
+                            // Expired since the scan; nothing to keep.
+                            if(!fields || !Object.keys(fields).length) continue;
+
+                            const record = {model: Model.name, id, ttl: pttl > 0 ? Math.ceil(pttl / 1000) : 0, fields};
+                            const links = (await Model._linkMembers(id)).filter(link => link.members.length);
+                            if(links.length){
+                                record.links = Object.fromEntries(links.map(link => [link.side, link.members]));
+                            }
+
+                            await writeLine(stream, `${JSON.stringify(record)}\n`);
+                            written++;
+                        }
+                    }while(cursor !== '0');
+                }
+            }
+
+            return written;
+        }
+
+        /**
+         * Read a dump() from `stream` and write its entries back, under this
+         * Table's prefix, to the registered models of the same name. The
+         * hash is written as is, its TTL re-applied, and the index SET (or
+         * trash), field and sorted indexes, unique claims and links rebuilt.
+         * `mode` decides what happens to an entry that already exists:
+         *   skip      - keep it and leave the dumped one out (default)
+         *   overwrite - replace it
+         * Resolves to {restored, skipped}.
+         */
+        static async restore(stream, options){
+            await ensureClientReady();
+
+            const {mode = 'skip'} = options || {};
+            if(!['skip', 'overwrite'].includes(mode)){
+                throw new Error(`Unknown restore mode ${mode}`);
+            }
+
+            const lines = readline.createInterface({input: stream, crlfDelay: Infinity});
+            const report = {restored: 0, skipped: 0};
+            let number = 0;
+
+            for await (const line of lines){
+                number++;
+                if(!line.trim()) continue;
+
+                let record;
+                try{
+                    record = JSON.parse(line);
+                }catch(error){
+                    throw new Error(`Line ${number} of the dump is not valid JSON: ${error.message}`);
+                }
+
+                const Model = record && this.models[record.model];
+                if(!Model){
+                    throw new Error(`Line ${number} of the dump is for ${record && record.model}, which is not a registered model`);
+                }
+                if(record.id === undefined || !record.fields || !Object.keys(record.fields).length){
+                    throw new Error(`Line ${number} of the dump has no id or fields`);
+                }
+
+                if(await Model._restoreRecord(record, mode)) report.restored++;
+                else report.skipped++;
+            }
+
+            return report;
+        }
+
+        // Write one dumped entry, see restore(). Returns false when it was
+        // skipped.
+        static async _restoreRecord(record, mode){
+            const id = String(record.id);
+            const hashKey = redisPrefix(`${this.name}_${id}`);
+
+            // The counter is not dumped; keep it past every restored id so
+            // the next create() does not hand one out again.
+            if(this._keyGenerator === 'increment' && /^[1-9]\d*$/.test(id)){
+                await client.EVAL(RAISE_COUNTER, {keys: [this._counterKey()], arguments: [id]});
+            }
+
+            const stored = await client.HGETALL(hashKey);
+            const exists = Boolean(stored && Object.keys(stored).length);
+            if(exists && mode === 'skip') return false;
+
+            const existing = exists ? this._fromHash(stored) : null;
+            const links = exists ? await this._linkMembers(id) : [];
+
+            const data = this._fromHash({...record.fields});
+            const ttl = record.ttl > 0 ? record.ttl : 0;
+            const trashed = this._softDelete && 'deletedAt' in record.fields;
+
+            // Fails on values held by other entries, before anything changes.
+            const claims = await this._claimUnique(id, data, ttl * 1000);
+
+            const multi = client.multi();
+
+            if(existing) this._queueDelete(multi, id, existing, links);
+
+            multi.HSET(hashKey, record.fields);
+            if(ttl > 0) multi.EXPIRE(hashKey, ttl);
+            multi.SADD(trashed ? this._trashKey() : redisPrefix(this.name), id);
+            this._indexAdd(multi, id, data);
+
+            // Claims the old entry held were freed above; take them again.
+            for(const key of this._uniqueKeysOf(data)){
+                multi.SET(key, id, ttl > 0 ? {EX: ttl} : {});
+            }
+
+            for(const {side, Remote, remoteSide} of this._linkSides()){
+                const members = (record.links && record.links[side]) || [];
+                if(!members.length) continue;
+                multi.SADD(this._linkKey(side, id), members);
+                for(const member of members) multi.SADD(Remote._linkKey(remoteSide, member), id);
+            }
+
+            this._publishEvent(multi, id, existing ? 'update' : 'create',
+                Object.keys(record.fields).filter(field => !field.startsWith('_')));
+
+            try{
+                await multi.exec();
+            }catch(error){
+                await this._releaseUnique(claims, id);
+                throw error;
+            }
+
+            return true;
+        }
+
+        static async create(data, options){
+            // Add a entry to this redis table.
+            try{
+                // Ensure client is connected before proceeding
+                await ensureClientReady();
+
+                // Everything that can be checked is, before anything is written.
+                const prepared = await this._prepareCreate(data);
+
+                // Undo steps for the writes made so far, so a failure part
+                // way through the nested writes leaves nothing behind.
+                const journal = [];
+                let instance;
+                try{
+                    instance = await this._writeCreate(prepared, options, journal);
+                }catch(error){
+                    await rollback(journal, error);
+                    throw error;
+                }
+
+                await this._runHooks('afterCreate', prepared.data, instance);
+
+                return instance;
+            } catch(error){
+                throw error;
             }
+        }
 
-            return {prefix, models, unclassified, totals};
+        // The EntryNameUsed error for a primary key `id` that is taken.
+        static _idUsed(id){
+            const message = `${this.name}:${id} already exists`;
+            return new errors.EntryNameUsed(message, {
+                model: this.name, id: String(id), errors: [{key: this._key, message}]
+            });
         }
 
         /**
-         * Remove the unambiguously-safe orphans only: dangling set members
-         * point at nothing, so SREM cannot lose data. Leaked hashes and broken
-         * relations still contain data and are left for manual review.
-         * Pass a report from findOrphans() to reuse it, or omit to compute one.
+         * The checks create() makes before writing: fill in a missing primary
+         * key, run the beforeCreate hooks, resolve the nested relation items
+         * (see _planNestedBefore()), validate and make sure the id is free.
+         * Returns {data, before, after} for _writeCreate().
          */
-        static async pruneOrphans(report){
-            report = report || await this.findOrphans();
+        static async _prepareCreate(data){
+            // Fill in a missing primary key before validation, so it can
+            // still be declared isRequired.
+            const missingKey = !data || data[this._key] === undefined
+                || data[this._key] === null || data[this._key] === '';
+            if(missingKey && this._keyGenerator){
+                data = {...data, [this._key]: await this._generateKey(data || {})};
+            }
 
-            let removedDangling = 0;
-            for(const [name, info] of Object.entries(report.models)){
-                for(const id of info.dangling){
-                    await client.SREM(redisPrefix(name), id);
-                    removedDangling++;
-                }
+            data = await this._runHooks('beforeCreate', data);
+
+            // Resolve nested related entries given in the data.
+            const nested = await this._planNestedBefore(data);
+
+            // Validate the passed data by the keyMap schema.
+            data = this._validate(nested.data, false, nested.data && nested.data[this._key]);
+
+            // Without a primary key the entry would be stored under
+            // `<Model>_undefined`.
+            if(data[this._key] === undefined || data[this._key] === null || data[this._key] === ''){
+                throw new errors.ValidationError([
+                    {key: this._key, message: `${this._key} is required.`}
+                ], {model: this.name});
             }
 
-            return {removedDangling};
+            // Do not allow the caller to overwrite an existing index key,
+            if(await this._idTaken(data)) throw this._idUsed(data[this._key]);
+
+            const after = await this._planNestedAfter(data, nested.pending);
+
+            return {data, before: nested.before, after};
         }
 
-        static async create(data, options){
-            // Add a entry to this redis table.
-            try{
-                // Ensure client is connected before proceeding
-                await ensureClientReady();
+        // Write an entry prepared by _prepareCreate() with its nested entries,
+        // recording in `journal` how to undo each write. Returns the instance.
+        static async _writeCreate(prepared, options, journal){
+            const {data} = prepared;
+            // Redis takes ids as strings, whatever the type of the key field.
+            const id = String(data[this._key]);
 
-                // Validate the passed data by the keyMap schema.
-                data = objValidate.processKeys(this._keyMap, data);
+            // Another entry written in the same call may have taken the id.
+            if(await this._idTaken(data)) throw this._idUsed(id);
 
-                // Do not allow the caller to overwrite an existing index key,
-                if(data[this._key] && await this.exists(data)){
-                    let error = new Error('EntryNameUsed');
-                    error.name = 'EntryNameUsed';
-                    error.message = `${this.prototype.constructor.name}:${data[this._key]} already exists`;
-                    error.keys = [{
-                        key: this._key,
-                        message: `${this.prototype.constructor.name}:${data[this._key]} already exists`
-                    }]
-                    error.status = 409;
+            let ttl = this._resolveTTL(options);
 
-                    throw error;
-                }
+            // Take the values of unique fields before writing anything.
+            const claims = await this._claimUnique(id, data, ttl > 0 ? ttl * 1000 : 0);
+
+            const hashKey = redisPrefix(`${this.prototype.constructor.name}_${id}`);
+
+            try{
+                // 'one' relations given as new entries are written first, as
+                // this entry stores their keys.
+                for(const {Remote, plan} of prepared.before) await Remote._writeNested(plan, journal);
+
+                // Every write for the entry is queued on one MULTI so the
+                // index member, hash and expiry are committed all or nothing.
+                const multi = client.multi();
 
                 // Add the key to the members for this redis table
-                await client.SADD(
-                    redisPrefix(this.prototype.constructor.name),
-                    data[this._key]
-                );
+                multi.SADD(redisPrefix(this.prototype.constructor.name), id);
 
-                // Add the values for this entry.
-                for(let key of Object.keys(data)){
-                    if(data[key] === undefined) continue;
-                    await client.HSET(
-                        redisPrefix(`${this.prototype.constructor.name}_${data[this._key]}`),
-                        key,
-                        objValidate.parseToString(data[key])
-                    );
-                }
+                // Add the values for this entry, in a single HSET.
+                const fields = this._toHash(data);
+                if(this._versioned) fields._version = '1';
+                if(this._schemaVersion > 1) fields._schemaVersion = String(this._schemaVersion);
+                multi.HSET(hashKey, fields);
+
+                this._indexAdd(multi, id, data);
+
+                // A history left behind by a removed entry of the same id
+                // does not carry over.
+                if(this._history) multi.DEL(this._historyKey(id));
 
                 // Apply expiry to the record hash if this model/operation has a
                 // TTL. Only the hash carries the TTL; the index SET member is
                 // reaped lazily on read once the hash is gone.
-                let ttl = this._resolveTTL(options);
                 if(ttl > 0){
-                    await client.EXPIRE(
-                        redisPrefix(`${this.prototype.constructor.name}_${data[this._key]}`),
-                        ttl
-                    );
+                    multi.EXPIRE(hashKey, ttl);
                 }
 
-                // return the created redis entry as entry instance.
-                return await this.get(data[this._key]);
-            } catch(error){
+                this._keepUnique(multi, claims, ttl * 1000);
+                this._publishEvent(multi, id, 'create', Object.keys(this._toHash(data)));
+
+                await multi.exec();
+            }catch(error){
+                await this._releaseUnique(claims, id);
                 throw error;
             }
+            journal.push(() => this._undoCreate(data));
+
+            await this._writeNestedAfter(new this(data), prepared.after, journal);
+
+            // return the created redis entry as entry instance.
+            return await this.get(data[this._key]);
+        }
+
+        // Delete an entry written by a create() that failed, with its history.
+        static async _undoCreate(data){
+            const id = String(data[this._key]);
+            const links = await this._linkMembers(id);
+
+            const multi = client.multi();
+            this._queueDelete(multi, id, data, links);
+            if(this._history) multi.DEL(this._historyKey(id));
+            this._publishEvent(multi, id, 'remove');
+            await multi.exec();
         }
 
         async update(data, options){
@@ -428,81 +2415,226 @@ function setUpTable(client, prefix='', connectionPromise=null){
                 // Ensure client is connected before proceeding
                 await ensureClientReady();
 
+                // A trashed entry has to be restore()d before it can change.
+                if(this.constructor._isTrashed(this)){
+                    const id = this[this.constructor._key];
+                    throw new errors.EntryNotFound(`${this.constructor.name}:${id} is in the trash`, {
+                        model: this.constructor.name, id: String(id)
+                    });
+                }
+
+                data = await this.constructor._runHooks('beforeUpdate', data, this);
+
+                // Resolve nested related entries given in the data.
+                const nested = await this.constructor._planNestedBefore(data);
+                const keyMap = this.constructor._keyMap;
+                const relationFields = Object.keys(data)
+                    .filter(field => keyMap[field] && this.constructor.models[keyMap[field].model]);
+                data = nested.data;
+
                 // Validate the passed data, ignoring required fields.
-                data = objValidate.processKeys(this.constructor._keyMap, data, true);
+                data = this.constructor._validate(data, true, this[this.constructor._key]);
 
                 // Capture the remaining lifetime before any RENAME, which in
                 // Redis drops the TTL. Field-level HSET below preserves the TTL,
                 // so we only need to re-apply it when the primary key changes.
+                // Read ahead of the MULTI, which cannot branch on replies.
                 const pttl = await client.PTTL(
                     redisPrefix(`${this.constructor.name}_${this[this.constructor._key]}`)
                 );
 
-                // Whether the primary key is changing. Captured now because the
-                // field loop below reassigns this[_key] to the new value.
+                // Whether the primary key is changing.
                 const renamed = Boolean(data[this.constructor._key]
                     && data[this.constructor._key] !== this[this.constructor._key]);
 
+                // Redis takes ids as strings, whatever the type of the key field.
+                const oldId = String(this[this.constructor._key]);
+                const newId = renamed ? String(data[this.constructor._key]) : oldId;
+                const oldHashKey = redisPrefix(`${this.constructor.name}_${oldId}`);
+                const hashKey = redisPrefix(`${this.constructor.name}_${newId}`);
+
+                // The stored values, which another process may have changed
+                // since this instance was loaded. The indexes and unique
+                // claims are moved from them, and the history record and the
+                // change event are diffed against them.
+                const stored = await client.HGETALL(oldHashKey);
+                const current = Object.keys(stored).length ? this.constructor._fromHash({...stored}) : {...this};
+
+                // Snapshot the indexed values so the index sets can be moved
+                // to the new values.
+                const indexedFields = [
+                    ...this.constructor._indexedFields(),
+                    ...this.constructor._sortedFields(),
+                    ...this.constructor._searchableFields(),
+                ];
+                const oldValues = {};
+                for(const field of indexedFields){
+                    oldValues[field] = current[field];
+                }
+
                 // Check to see if entry name changed.
-                if(renamed){
-                    // Remove the index key from the tables members list.
-
-                    if(data[this.constructor._key] && await this.constructor.exists(data)){
-                        let error = new Error('EntryNameUsed');
-                        error.name = 'EntryNameUsed';
-                        error.message = `${this.constructor.name}:${data[this.constructor._key]} already exists`;
-                        error.keys = [{
-                            key: this.constructor._key,
-                            message: `${this.constructor.name}:${data[this.constructor._key]} already exists`
-                        }]
-                        error.status = 409;
+                if(renamed && await this.constructor._idTaken(data)){
+                    throw this.constructor._idUsed(newId);
+                }
 
-                        throw error;
-                    }
+                // Resolve the nested 'many' items against the values the
+                // entry will have, before anything is written.
+                const after = await this.constructor._planNestedAfter({...this, ...data}, nested.pending);
 
-                    await client.SREM(
-                        redisPrefix(this.constructor.name),
-                        this[this.constructor._key]
+                // The lifetime the entry will have once this update commits.
+                let optTTL = options && typeof options === 'object' ? options.ttl : undefined;
+                const newPTTL = optTTL !== undefined ? optTTL * 1000 : pttl;
+
+                // Claim the new values of changed unique fields, then free the
+                // old values (and re-point the kept ones on a rename) in the
+                // transaction itself.
+                const changedUnique = {}, keptUnique = {};
+                for(const field of this.constructor._uniqueFields()){
+                    const [from] = this.constructor._uniqueKeysOf({[field]: current[field]});
+                    const [to] = this.constructor._uniqueKeysOf({[field]: data[field]});
+                    if(field in data && from !== to) changedUnique[field] = data[field];
+                    else keptUnique[field] = current[field];
+                }
+                const claims = await this.constructor._claimUnique(newId, changedUnique, newPTTL);
+
+                // Many-to-many link sets are keyed by id, so a rename moves
+                // them and repoints the paired sets.
+                const links = renamed ? await this.constructor._linkMembers(oldId) : [];
+
+                // Whether there is a history to move along with a rename.
+                const history = this.constructor._history;
+                const movedHistory = Boolean(renamed && history
+                    && await client.EXISTS(this.constructor._historyKey(oldId)));
+                const actor = options && typeof options === 'object' ? options.actor : undefined;
+
+                // Queue every write on one MULTI so a failure part way through
+                // cannot leave a renamed hash without its index member.
+                const build = multi=>{
+                    const freed = this.constructor._uniqueKeysOf(
+                        Object.fromEntries(Object.keys(changedUnique).map(field => [field, current[field]]))
                     );
+                    this.constructor._queueRelease(multi, freed, oldId);
+                    this.constructor._keepUnique(multi, claims, newPTTL);
+                    const kept = this.constructor._uniqueKeysOf(keptUnique);
+                    for(const key of kept){
+                        if(renamed) multi.SET(key, newId, {KEEPTTL: true});
+                        if(optTTL > 0) multi.EXPIRE(key, optTTL);
+                        else if(optTTL !== undefined) multi.PERSIST(key);
+                    }
 
-                    // Add the key to the members for this redis table
-                    await client.SADD(
-                        redisPrefix(this.constructor.name),
-                        data[this.constructor._key]
-                    );
+                    if(renamed){
+                        // Swap the index key in the tables members list.
+                        multi.SREM(redisPrefix(this.constructor.name), oldId);
+                        multi.SADD(redisPrefix(this.constructor.name), newId);
+                        multi.RENAME(oldHashKey, hashKey);
+                    }
+
+                    for(const {side, Remote, remoteSide, members} of links){
+                        // RENAME fails on a missing key; an empty set has none.
+                        if(!members.length) continue;
+                        multi.RENAME(this.constructor._linkKey(side, oldId), this.constructor._linkKey(side, newId));
+                        for(const member of members){
+                            multi.SREM(Remote._linkKey(remoteSide, member), oldId);
+                            multi.SADD(Remote._linkKey(remoteSide, member), newId);
+                        }
+                    }
+
+                    // Update what ever fields that where passed.
+                    const fields = this.constructor._toHash(data);
+                    if(Object.keys(fields).length){
+                        multi.HSET(hashKey, fields);
+                    }
 
-                    await client.RENAME(
-                        redisPrefix(`${this.constructor.name}_${this[this.constructor._key]}`),
-                        redisPrefix(`${this.constructor.name}_${data[this.constructor._key]}`),
+                    if(renamed && history){
+                        multi.DEL(this.constructor._historyKey(newId));
+                        if(movedHistory){
+                            multi.RENAME(this.constructor._historyKey(oldId), this.constructor._historyKey(newId));
+                        }
+                    }
+                    this.constructor._recordHistory(multi, newId, 'update', stored, fields, actor);
+
+                    // Move the entry between index sets for every indexed field
+                    // whose value changed, or all of them when the id changed.
+                    const moved = indexedFields
+                        .filter(field => renamed || (field in data && data[field] !== oldValues[field]));
+                    const before = {}, after = {};
+                    for(const field of moved){
+                        before[field] = oldValues[field];
+                        after[field] = field in data ? data[field] : oldValues[field];
+                    }
+                    this.constructor._indexRemove(multi, oldId, before);
+                    this.constructor._indexAdd(multi, newId, after);
+
+                    // TTL handling: an explicit {ttl} resets the lifetime; otherwise
+                    // keep it as-is. HSET already preserves the TTL for the in-place
+                    // case, but RENAME cleared it, so carry the captured remaining
+                    // lifetime across when the primary key changed.
+                    if(optTTL !== undefined){
+                        if(optTTL > 0){
+                            multi.EXPIRE(hashKey, optTTL);
+                        }else{
+                            multi.PERSIST(hashKey);
+                        }
+                    }else if(renamed && pttl > 0){
+                        multi.PEXPIRE(hashKey, pttl);
+                    }
+
+                    if(this.constructor._versioned){
+                        multi.HINCRBY(hashKey, '_version', 1);
+                    }
+
+                    const changed = Object.keys(fields)
+                        .filter(key => !key.startsWith('_') && fields[key] !== stored[key]);
+                    this.constructor._publishEvent(
+                        multi, newId, 'update', changed, renamed ? {previousId: String(oldId)} : {}
                     );
+                };
+
+                // Undo steps for the writes made so far, so a failure part
+                // way through the nested writes leaves nothing behind.
+                const journal = [];
+                try{
+                    for(const {Remote, plan} of nested.before) await Remote._writeNested(plan, journal);
+                    await this.constructor._transaction(oldId, this._version, build, true);
+                }catch(error){
+                    await this.constructor._releaseUnique(claims, newId);
+                    await rollback(journal, error);
+                    throw error;
+                }
 
+                if(this.constructor._versioned){
+                    this._version = (this._version || 0) + 1;
                 }
-                // Update what ever fields that where passed.
 
-                // Loop over the data fields and apply them to redis
+                // Only reflect the new values on the instance once committed.
                 for(let key of Object.keys(data)){
                     this[key] = data[key];
-                    await client.HSET(
-                        redisPrefix(`${this.constructor.name}_${this[this.constructor._key]}`),
-                        key, objValidate.parseToString(data[key])
-                    );
                 }
 
-                // TTL handling: an explicit {ttl} resets the lifetime; otherwise
-                // keep it as-is. HSET already preserves the TTL for the in-place
-                // case, but RENAME cleared it, so carry the captured remaining
-                // lifetime across when the primary key changed.
-                let hashKey = redisPrefix(`${this.constructor.name}_${this[this.constructor._key]}`);
-                let optTTL = options && typeof options === 'object' ? options.ttl : undefined;
-                if(optTTL !== undefined){
-                    if(optTTL > 0){
-                        await client.EXPIRE(hashKey, optTTL);
-                    }else{
-                        await client.PERSIST(hashKey);
+                // Link the nested 'many' entries, writing the old values back
+                // if that fails, then reload the relations that were written
+                // through.
+                if(after.length){
+                    journal.push(() => this.constructor._writeBack(this, stored));
+                    try{
+                        await this.constructor._writeNestedAfter(this, after, journal);
+                    }catch(error){
+                        await rollback(journal, error);
+                        throw error;
                     }
-                }else if(renamed && pttl > 0){
-                    await client.PEXPIRE(hashKey, pttl);
                 }
+                for(const field of relationFields){
+                    // Drop the old related entry so a 'one' relation is
+                    // resolved through its updated localKey.
+                    if(keyMap[field].localKey) delete this[field];
+                }
+                if(relationFields.length){
+                    await this.constructor._buildRelationsBatch(
+                        [this], undefined, relationSpec({include: relationFields})
+                    );
+                }
+
+                await this.constructor._runHooks('afterUpdate', data, this);
 
                 return this;
 
@@ -512,25 +2644,56 @@ function setUpTable(client, prefix='', connectionPromise=null){
             }
         }
 
-        async remove(data){
+        async remove(options){
             // Remove an entry from this table.
 
             try{
                 // Ensure client is connected before proceeding
                 await ensureClientReady();
 
-                // Remove the index key from the tables members list.
-                await client.SREM(
-                    redisPrefix(this.constructor.name),
-                    this[this.constructor._key]
-                );
+                const id = String(this[this.constructor._key]);
 
-                // Remove the entries hash values.
-                let count = await client.DEL(
-                    redisPrefix(`${this.constructor.name}_${this[this.constructor._key]}`)
-                );
+                // Already in the trash; purge() deletes it for good.
+                if(this.constructor._isTrashed(this)) return this;
+
+                // A cascade that loops back to an entry already being removed
+                // stops there.
+                const removalKey = redisPrefix(`${this.constructor.name}_${id}`);
+                if(removing.has(removalKey)) return this;
+                removing.add(removalKey);
+
+                try{
+                    const referencing = await this.constructor._checkDeleteRules(this);
+                    await this.constructor._runHooks('beforeRemove', this);
+                    // A soft delete leaves the referencing entries as they
+                    // are, so restore() undoes it; purge() applies the rules.
+                    if(!this.constructor._softDelete) await this.constructor._applyDeleteRules(referencing);
+                }finally{
+                    removing.delete(removalKey);
+                }
+
+                const actor = options && typeof options === 'object' ? options.actor : undefined;
+
+                if(this.constructor._softDelete){
+                    // Move the id to the trash and keep everything else, so
+                    // restore() can put the entry back as it was.
+                    const deletedAt = Date.now();
+                    const multi = client.multi();
+                    multi.SMOVE(redisPrefix(this.constructor.name), this.constructor._trashKey(), id);
+                    multi.HSET(redisPrefix(`${this.constructor.name}_${id}`), 'deletedAt', String(deletedAt));
+                    // The values stay in place, so only who and when is recorded.
+                    this.constructor._recordHistory(multi, id, 'remove', {}, {}, actor);
+                    this.constructor._publishEvent(multi, id, 'remove', [], {soft: true});
+                    await multi.exec();
+
+                    this.deletedAt = new Date(deletedAt);
+                }else{
+                    await this.constructor._destroy(this, 'remove', actor);
+                }
+
+                await this.constructor._runHooks('afterRemove', this);
 
-                // Return the number of removed values to the caller.
+                // Return the removed instance to the caller.
                 return this;
 
             } catch(error) {
@@ -538,22 +2701,442 @@ function setUpTable(client, prefix='', connectionPromise=null){
             }
         };
 
+        // Delete the entry of `instance` with its indexes, unique claims and
+        // links in one transaction, publishing `op`. The indexes and claims
+        // are found from the stored values, which another process may have
+        // changed since `instance` was loaded. A removal is recorded in the
+        // history, which then expires; a purge deletes it.
+        static async _destroy(instance, op, actor){
+            const id = String(instance[this._key]);
+            const links = await this._linkMembers(id);
+            const stored = await client.HGETALL(redisPrefix(`${this.name}_${id}`));
+            const exists = Boolean(stored && Object.keys(stored).length);
+
+            const multi = client.multi();
+            this._queueDelete(multi, id, exists ? this._fromHash({...stored}) : instance, links);
+
+            if(op === 'purge' || (this._history && !this._historyRetention())){
+                multi.DEL(this._historyKey(id));
+            }else if(this._history){
+                this._recordHistory(multi, id, op, stored || {}, null, actor);
+                multi.EXPIRE(this._historyKey(id), this._historyRetention());
+            }
+
+            this._publishEvent(multi, id, op);
+
+            await multi.exec();
+        }
+
+        // Queue on `multi` the commands deleting entry `id`, whose values are
+        // `data` and link sets `links` (from _linkMembers()).
+        static _queueDelete(multi, id, data, links){
+            // Remove the index key from the tables members list.
+            multi.SREM(redisPrefix(this.name), id);
+            if(this._softDelete) multi.SREM(this._trashKey(), id);
+
+            // Unlink the entry from both sides of its many-to-many links.
+            for(const {side, Remote, remoteSide, members} of links){
+                for(const member of members){
+                    multi.SREM(Remote._linkKey(remoteSide, member), id);
+                }
+                multi.DEL(this._linkKey(side, id));
+            }
+
+            this._indexRemove(multi, id, data);
+
+            // Free the values held by unique fields.
+            this._queueRelease(multi, this._uniqueKeysOf(data), id);
+
+            // Remove the entries hash values.
+            multi.DEL(redisPrefix(`${this.name}_${id}`));
+        }
+
+        // Take a trashed entry out of the trash, back into the index SET.
+        async restore(){
+            await ensureClientReady();
+
+            const Model = this.constructor;
+            const id = String(this[Model._key]);
+            const hashKey = redisPrefix(`${Model.name}_${id}`);
+
+            if(!await client.SISMEMBER(Model._trashKey(), id) || !await client.EXISTS(hashKey)){
+                throw new errors.EntryNotFound(`${Model.name}:${id} is not in the trash`, {
+                    model: Model.name, id: String(id)
+                });
+            }
+
+            const multi = client.multi();
+            multi.SMOVE(Model._trashKey(), redisPrefix(Model.name), id);
+            multi.HDEL(hashKey, 'deletedAt');
+            Model._publishEvent(multi, id, 'restore');
+            await multi.exec();
+
+            delete this.deletedAt;
+
+            return this;
+        }
+
+        /**
+         * The recorded changes of this entry, newest first, as
+         * {at, op, actor, changes} with `changes` mapping each changed field
+         * to its {from, to} values; null stands for a field that was not set.
+         */
+        async history(){
+            await ensureClientReady();
+
+            const Model = this.constructor;
+            const parse = (field, value) => value === null
+                ? null
+                : objValidate.parseFromString(Model._keyMap, {[field]: value})[field];
+
+            const records = await client.LRANGE(Model._historyKey(this[Model._key]), 0, -1);
+
+            return records.map(json => {
+                const record = JSON.parse(json);
+                const changes = {};
+                for(const [field, {from, to}] of Object.entries(record.changes)){
+                    changes[field] = {from: parse(field, from), to: parse(field, to)};
+                }
+                return {...record, at: new Date(record.at), changes};
+            });
+        }
+
+        // The field values of this entry as they were `n` changes ago;
+        // revisionAt(0) is the stored entry.
+        async revisionAt(n){
+            await ensureClientReady();
+
+            const Model = this.constructor;
+            const {hash} = await Model._revisionHash(this[Model._key], n);
+            for(const [field, options] of Object.entries(Model._keyMap)){
+                if(options.isPrivate) delete hash[field];
+            }
+
+            return objValidate.parseFromString(Model._keyMap, hash);
+        }
+
+        /**
+         * Write back the values the entry had `n` changes ago, through
+         * update(), unsetting the fields it did not have then. Pass
+         * `{actor}` to record who reverted. Returns the instance.
+         */
+        async revert(n, options){
+            await ensureClientReady();
+
+            const Model = this.constructor;
+            const id = String(this[Model._key]);
+            if(!await Model.exists(id)){
+                throw new errors.EntryNotFound(`${Model.name}:${id} does not exist`, {
+                    model: Model.name, id: String(id)
+                });
+            }
+
+            const {hash} = await Model._revisionHash(id, n);
+            const actor = options && typeof options === 'object' ? options.actor : undefined;
+
+            await Model._writeBack(this, hash, actor);
+
+            return this;
+        }
+
+        // Write the raw field values `hash` to `instance` through update(),
+        // unsetting the fields it does not have.
+        static async _writeBack(instance, hash, actor){
+            const stored = await client.HGETALL(redisPrefix(`${this.name}_${instance[this._key]}`));
+            const fields = Object.keys(this._keyMap);
+
+            const changed = {};
+            for(const field of fields){
+                if(field in hash && stored[field] !== hash[field]) changed[field] = hash[field];
+            }
+            const unset = fields.filter(field => field in stored && !(field in hash));
+
+            if(Object.keys(changed).length){
+                await instance.update(objValidate.parseFromString(this._keyMap, changed), {actor});
+            }
+            for(const field of unset){
+                await this._unsetField(instance, field, actor);
+                delete instance[field];
+                if(this._versioned) instance._version = (instance._version || 0) + 1;
+            }
+        }
+
+        // The entries in the trash, most recently removed first.
+        static async trash(relations){
+            await ensureClientReady();
+
+            const [queryHelper, include] = relationArgs(relations);
+            const entries = await this._loadMatching(await client.SMEMBERS(this._trashKey()), {
+                queryHelper,
+                include,
+                withDeleted: true,
+            });
+
+            return entries.sort((a, b) => b.deletedAt - a.deletedAt);
+        }
+
+        /**
+         * Delete trashed entries for good, like remove() without soft delete.
+         * `olderThan` (a Date or epoch ms) limits it to entries removed before
+         * then; without it the whole trash is emptied. The onDelete rules
+         * deferred by remove() are applied here, but no hooks run. Resolves
+         * to the number of entries purged.
+         */
+        static async purge(options){
+            const {olderThan} = options || {};
+            const cutoff = olderThan === undefined ? Infinity : toScore(olderThan);
+
+            await ensureClientReady();
+
+            const trashed = await this._loadMatching(await client.SMEMBERS(this._trashKey()), {
+                relations: false,
+                withDeleted: true,
+            });
+
+            let purged = 0;
+            for(const entry of trashed){
+                if(!(entry.deletedAt.getTime() < cutoff)) continue;
+
+                const removalKey = redisPrefix(`${this.name}_${entry[this._key]}`);
+                removing.add(removalKey);
+                try{
+                    await this._applyDeleteRules(await this._checkDeleteRules(entry));
+                }finally{
+                    removing.delete(removalKey);
+                }
+
+                await this._destroy(entry, 'purge');
+                purged++;
+            }
+
+            return purged;
+        }
+
+        /**
+         * Resolve a nested relation item to an entry of this model, without
+         * writing anything. An instance or a primary key is the existing
+         * entry; a plain object is the entry with its primary key if there is
+         * one, or a new entry checked with _prepareCreate(). `assign` holds
+         * field values the entry must end up with, such as the foreign key of
+         * a 'many' relation. Returns a plan for _writeNested(): {entry,
+         * changes} for an existing entry, {prepared} for a new one.
+         */
+        static async _planNested(item, assign){
+            assign = assign || {};
+
+            let entry;
+            if(item instanceof this){
+                entry = item;
+            }else if(item === null || typeof item !== 'object'){
+                entry = await this.get(item, {include: false});
+            }else if(item[this._key] !== undefined && await this.exists(item[this._key])){
+                entry = await this.get(item[this._key], {include: false});
+            }else{
+                return {prepared: await this._prepareCreate({...item, ...assign})};
+            }
+
+            const changes = {};
+            for(const [field, value] of Object.entries(assign)){
+                if(entry[field] !== value) changes[field] = value;
+            }
+            if(Object.keys(changes).length) this._validate(changes, true, entry[this._key]);
+
+            return {entry, changes};
+        }
+
+        // Carry out a plan from _planNested(), recording in `journal` how to
+        // undo it. Returns the entry.
+        static async _writeNested(plan, journal){
+            if(plan.prepared){
+                const instance = await this._writeCreate(plan.prepared, undefined, journal);
+                await this._runHooks('afterCreate', plan.prepared.data, instance);
+                return instance;
+            }
+
+            const {entry, changes} = plan;
+            if(Object.keys(changes).length){
+                const stored = await client.HGETALL(redisPrefix(`${this.name}_${entry[this._key]}`));
+                await entry.update(changes);
+                journal.push(() => this._writeBack(entry, stored));
+            }
+
+            return entry;
+        }
+
+        /**
+         * Take the nested relation values out of `data` before it is
+         * validated. A 'one' relation given as an object is resolved with
+         * _planNested() and replaced by the key of its entry, a new entry
+         * being listed in `before` to be written ahead of this one. 'many' and
+         * 'manyToMany' values are returned in `pending`, for
+         * _planNestedAfter() once the values of this entry are known.
+         * Returns {data, before, pending}.
+         */
+        static async _planNestedBefore(data){
+            data = {...data};
+            const before = [];
+            const pending = [];
+
+            for(const [field, options] of Object.entries(this._keyMap || {})){
+                if(!options || !options.model || !(field in data)) continue;
+                const Remote = this.models[options.model];
+                if(!Remote) continue;
+
+                const value = data[field];
+                if(options.rel === 'one'){
+                    // A plain foreign key is stored as it is.
+                    if(value === null || typeof value !== 'object') continue;
+
+                    const plan = await Remote._planNested(value);
+                    const key = plan.prepared ? plan.prepared.data[Remote._key] : plan.entry[Remote._key];
+                    if(plan.prepared) before.push({Remote, plan});
+                    if(options.localKey){
+                        data[options.localKey] = key;
+                        delete data[field];
+                    }else{
+                        data[field] = key;
+                    }
+                }
+                if(options.rel === 'many' || options.rel === 'manyToMany'){
+                    delete data[field];
+                    if(value !== undefined && value !== null){
+                        pending.push({field, options, Remote, items: [].concat(value)});
+                    }
+                }
+            }
+
+            return {data, before, pending};
+        }
+
+        // Resolve the 'many' and 'manyToMany' items taken out of the data by
+        // _planNestedBefore(), for an entry whose values will be `values`.
+        static async _planNestedAfter(values, pending){
+            const after = [];
+            for(const {field, options, Remote, items} of pending){
+                const assign = options.rel === 'many'
+                    ? {[options.remoteKey]: values[options.localKey || this._key]}
+                    : undefined;
+                const plans = [];
+                for(const item of items) plans.push(await Remote._planNested(item, assign));
+                after.push({field, options, Remote, plans});
+            }
+            return after;
+        }
+
+        // Write or link the items planned by _planNestedAfter(), once
+        // `instance` has been written, recording in `journal` how to undo it.
+        static async _writeNestedAfter(instance, after, journal){
+            for(const {field, options, Remote, plans} of after){
+                const entries = [];
+                for(const plan of plans) entries.push(await Remote._writeNested(plan, journal));
+
+                if(options.rel === 'manyToMany'){
+                    // Only the links this write adds are undone.
+                    const {side} = this._linkSide(field);
+                    const linked = await client.SMEMBERS(this._linkKey(side, instance[this._key]));
+                    const added = entries.filter(entry => !linked.includes(String(entry[Remote._key])));
+
+                    await instance.link(field, entries);
+                    journal.push(() => instance.unlink(field, added));
+                }
+            }
+        }
+
+        // The ids of `other`: an instance, an id, or an array of either.
+        static _idsOf(other){
+            return [].concat(other).map(item => String(
+                item && typeof item === 'object' ? item[item.constructor._key || this._key] : item
+            ));
+        }
+
+        /**
+         * Link this entry to `other` (an instance, id, or array of either)
+         * through the many-to-many relation `field`, writing both sides of
+         * the link in one transaction. Returns this.
+         */
+        async link(field, other){
+            await ensureClientReady();
+
+            const {side, Remote, remoteSide} = this.constructor._linkSide(field);
+            const id = String(this[this.constructor._key]);
+            const ids = Remote._idsOf(other);
+
+            for(const remoteId of ids){
+                if(!await Remote.exists(remoteId)){
+                    throw new errors.EntryNotFound(`${Remote.name}:${remoteId} does not exist`, {
+                        model: Remote.name, id: String(remoteId)
+                    });
+                }
+            }
+
+            const multi = client.multi();
+            if(ids.length) multi.SADD(this.constructor._linkKey(side, id), ids);
+            for(const remoteId of ids){
+                multi.SADD(Remote._linkKey(remoteSide, remoteId), String(id));
+            }
+            await multi.exec();
+
+            return this;
+        }
+
+        // Remove the links to `other` through `field`, on both sides. Returns this.
+        async unlink(field, other){
+            await ensureClientReady();
+
+            const {side, Remote, remoteSide} = this.constructor._linkSide(field);
+            const id = String(this[this.constructor._key]);
+            const ids = Remote._idsOf(other);
+
+            const multi = client.multi();
+            if(ids.length) multi.SREM(this.constructor._linkKey(side, id), ids);
+            for(const remoteId of ids){
+                multi.SREM(Remote._linkKey(remoteSide, remoteId), String(id));
+            }
+            await multi.exec();
+
+            return this;
+        }
+
+        // The entries linked to this one through `field`, as instances.
+        // Takes the same {include, depth} options as get().
+        async linked(field, options){
+            await ensureClientReady();
+
+            const {side, Remote} = this.constructor._linkSide(field);
+            const linkKey = this.constructor._linkKey(side, this[this.constructor._key]);
+
+            return await Remote._loadMatching(await client.SMEMBERS(linkKey), {
+                include: relationSpec(options),
+                setKeys: [linkKey],
+            });
+        }
+
         // Set this entry's record hash to expire after `seconds`. Returns this.
         async expire(seconds){
             await ensureClientReady();
-            await client.EXPIRE(
+            // Held unique values share the lifetime of the hash.
+            const multi = client.multi();
+            for(const key of [
                 redisPrefix(`${this.constructor.name}_${this[this.constructor._key]}`),
-                seconds
-            );
+                ...this.constructor._uniqueKeysOf(this),
+            ]){
+                multi.EXPIRE(key, seconds);
+            }
+            await multi.exec();
             return this;
         }
 
         // Remove any expiry from this entry's record hash. Returns this.
         async persist(){
             await ensureClientReady();
-            await client.PERSIST(
-                redisPrefix(`${this.constructor.name}_${this[this.constructor._key]}`)
-            );
+            const multi = client.multi();
+            for(const key of [
+                redisPrefix(`${this.constructor.name}_${this[this.constructor._key]}`),
+                ...this.constructor._uniqueKeysOf(this),
+            ]){
+                multi.PERSIST(key);
+            }
+            await multi.exec();
             return this;
         }
 
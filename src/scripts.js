@@ -0,0 +1,41 @@
+'use strict';
+
+// Lua scripts run with EVAL, for the writes that have to check a value and
+// act on it in one step.
+
+// Delete each of KEYS that still holds ARGV[1], the id of the entry releasing
+// its unique values, and leave those another entry has taken since. Returns
+// the number of keys deleted.
+const RELEASE_CLAIMS = `
+local released = 0
+for _, key in ipairs(KEYS) do
+	if redis.call('GET', key) == ARGV[1] then
+		redis.call('DEL', key)
+		released = released + 1
+	end
+end
+return released
+`;
+
+// Raise the counter KEYS[1] to ARGV[1] unless it is already at or above it.
+// Returns the counter's value.
+const RAISE_COUNTER = `
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+local floor = tonumber(ARGV[1])
+if current < floor then
+	redis.call('SET', KEYS[1], ARGV[1])
+	return floor
+end
+return current
+`;
+
+// Remove ARGV[1] from the SET of stored values KEYS[2] once its value set
+// KEYS[1] is empty. Returns the number of values removed.
+const PRUNE_VALUE = `
+if redis.call('SCARD', KEYS[1]) == 0 then
+	return redis.call('SREM', KEYS[2], ARGV[1])
+end
+return 0
+`;
+
+module.exports = {RELEASE_CLAIMS, RAISE_COUNTER, PRUNE_VALUE};
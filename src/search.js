@@ -0,0 +1,46 @@
+'use strict';
+
+// Split `text` into the words the search index keys on: lowercased, with
+// accents stripped. Anything that is not a letter or a digit separates words.
+function tokenize(text){
+	if(text === undefined || text === null) return [];
+
+	const words = String(text)
+		.normalize('NFKD')
+		.replace(/\p{M}+/gu, '')
+		.toLowerCase()
+		.split(/[^\p{L}\p{N}]+/u)
+		.filter(Boolean);
+
+	return [...new Set(words)];
+}
+
+// Order the ids a search found, best first. `matches` holds, for each query
+// term, the ids it matched in each searched field. An id scores a point per
+// term it matched; ties go to the id with more field matches, then by id.
+// With mode 'all' only the ids matching every term are kept.
+function rank(matches, mode){
+	const scores = new Map();
+
+	for(const fields of matches){
+		const matched = new Set();
+		for(const ids of fields){
+			for(const id of ids){
+				const score = scores.get(id) || {terms: 0, fields: 0};
+				score.fields++;
+				if(!matched.has(id)){
+					matched.add(id);
+					score.terms++;
+				}
+				scores.set(id, score);
+			}
+		}
+	}
+
+	return [...scores]
+		.filter(([, score]) => mode !== 'all' || score.terms === matches.length)
+		.sort(([a, x], [b, y]) => y.terms - x.terms || y.fields - x.fields || (a < b ? -1 : a > b ? 1 : 0))
+		.map(([id]) => id);
+}
+
+module.exports = {tokenize, rank};
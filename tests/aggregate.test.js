@@ -0,0 +1,224 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+const { aggregate } = require('../src/aggregate');
+
+describe('count and aggregate', () => {
+    let client;
+    let Table;
+    let Order;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        class TestOrder extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                status: { type: 'string', index: true },
+                region: { type: 'string', index: true },
+                amount: { type: 'number' },
+                age: { type: 'number' }
+            };
+        }
+        Order = TestOrder;
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    async function seed(){
+        await Order.create({ id: 'o1', status: 'paid', region: 'eu', amount: 10, age: 20 });
+        await Order.create({ id: 'o2', status: 'paid', region: 'us', amount: 30, age: 40 });
+        await Order.create({ id: 'o3', status: 'open', region: 'eu', amount: 5 });
+        await Order.create({ id: 'o4', status: 'refunded', region: 'eu', amount: 7, age: 30 });
+    }
+
+    describe('aggregate() helper', () => {
+        test('skips values that are not numbers and unset extremes', () => {
+            const entries = [{ n: 1, s: 'b' }, { n: 'x', s: null }, { s: 'a' }];
+            expect(aggregate(entries, { sum: 'n', avg: 'n', min: 's', max: ['s'] })).toEqual({
+                count: 3,
+                sum: { n: 1 },
+                avg: { n: 1 },
+                min: { s: 'a' },
+                max: { s: 'b' }
+            });
+            expect(aggregate([], { avg: 'n', min: 'n' })).toEqual({ count: 0, avg: { n: null }, min: { n: null } });
+        });
+
+        test('groups dates by timestamp and unset values last', () => {
+            const entries = [{ d: new Date(1000) }, { d: new Date(1000) }, {}, { d: new Date(0) }];
+            expect(aggregate(entries, { groupBy: 'd' })).toEqual([
+                { group: new Date(0), count: 1 },
+                { group: new Date(1000), count: 2 },
+                { group: null, count: 1 }
+            ]);
+        });
+    });
+
+    test('count() with no filter is a SCARD', async () => {
+        await seed();
+        const scard = jest.spyOn(client, 'SCARD');
+        const hgetall = jest.spyOn(client, 'HGETALL');
+
+        expect(await Order.count()).toBe(4);
+        expect(scard).toHaveBeenCalledWith('test:TestOrder');
+        expect(hgetall).not.toHaveBeenCalled();
+    });
+
+    test('count() answers indexed equalities from the value sets', async () => {
+        await seed();
+        const hgetall = jest.spyOn(client, 'HGETALL');
+
+        expect(await Order.count({ status: 'paid' })).toBe(2);
+        expect(await Order.count({ status: 'paid', region: 'eu' })).toBe(1);
+        expect(await Order.count({ status: 'lost' })).toBe(0);
+        expect(hgetall).not.toHaveBeenCalled();
+    });
+
+    test('count() loads the entries for other filters', async () => {
+        await seed();
+
+        expect(await Order.count({ amount: { $gte: 10 } })).toBe(2);
+        expect(await Order.count({ status: 'paid', age: { $exists: false } })).toBe(0);
+        expect(await Order.count({ status: { $in: ['open', 'refunded'] } })).toBe(2);
+    });
+
+    test('aggregate() without groupBy summarises every match', async () => {
+        await seed();
+
+        expect(await Order.aggregate({ sum: 'amount', avg: 'age', min: 'amount', max: 'amount' })).toEqual({
+            count: 4,
+            sum: { amount: 52 },
+            avg: { age: 30 },
+            min: { amount: 5 },
+            max: { amount: 30 }
+        });
+        expect(await Order.aggregate({ sum: 'amount' }, { region: 'eu' })).toEqual({ count: 3, sum: { amount: 22 } });
+    });
+
+    test('aggregate() with groupBy returns one row per group', async () => {
+        await seed();
+
+        expect(await Order.aggregate({ groupBy: 'status', sum: 'amount', avg: 'age' })).toEqual([
+            { group: 'open', count: 1, sum: { amount: 5 }, avg: { age: null } },
+            { group: 'paid', count: 2, sum: { amount: 40 }, avg: { age: 30 } },
+            { group: 'refunded', count: 1, sum: { amount: 7 }, avg: { age: 30 } }
+        ]);
+        expect(await Order.aggregate({ groupBy: 'region', sum: 'amount' }, { amount: { $lt: 10 } })).toEqual([
+            { group: 'eu', count: 2, sum: { amount: 12 } }
+        ]);
+    });
+
+    test('counting the groups of an indexed field only reads the value sets', async () => {
+        await seed();
+        const hgetall = jest.spyOn(client, 'HGETALL');
+
+        expect(await Order.aggregate({ groupBy: 'status' })).toEqual([
+            { group: 'open', count: 1 },
+            { group: 'paid', count: 2 },
+            { group: 'refunded', count: 1 }
+        ]);
+        expect(await Order.aggregate({ groupBy: 'status' }, { region: 'eu' })).toEqual([
+            { group: 'open', count: 1 },
+            { group: 'paid', count: 1 },
+            { group: 'refunded', count: 1 }
+        ]);
+        expect(hgetall).not.toHaveBeenCalled();
+
+        // Emptied value sets are not reported.
+        await (await Order.get('o3')).update({ status: 'paid' });
+        expect((await Order.aggregate({ groupBy: 'status' })).map(row => row.group)).toEqual(['paid', 'refunded']);
+    });
+
+    test('the value sets are listed from a SET of values, not a SCAN', async () => {
+        await seed();
+        const scan = jest.spyOn(client, 'SCAN');
+
+        await Order.aggregate({ groupBy: 'status' });
+        expect(scan).not.toHaveBeenCalled();
+        expect((await client.SMEMBERS('test:TestOrder::values:status')).sort()).toEqual(['open', 'paid', 'refunded']);
+
+        await client.DEL('test:TestOrder::values:status');
+        await Order.reindex();
+        expect((await client.SMEMBERS('test:TestOrder::values:status')).sort()).toEqual(['open', 'paid', 'refunded']);
+    });
+
+    test('a value leaves the values SET with its last entry', async () => {
+        await seed();
+        const values = async () => (await client.SMEMBERS('test:TestOrder::values:status')).sort();
+
+        await (await Order.get('o3')).update({ status: 'paid' });
+        await (await Order.get('o4')).remove();
+        expect(await values()).toEqual(['paid']);
+
+        // Sets emptied by an expiry cleanup are pruned when the groups are counted.
+        await Order.create({ id: 'o5', status: 'lost', amount: 1 }, { ttl: 10 });
+        client.advanceTime(11000);
+        await Order.listDetail({ status: 'lost' });
+        expect(await values()).toEqual(['lost', 'paid']);
+        await Order.aggregate({ groupBy: 'status' });
+        expect(await values()).toEqual(['paid']);
+    });
+
+    test('both ways of grouping count entries without a value under null', async () => {
+        await seed();
+        await Order.create({ id: 'o5', region: 'eu', amount: 1 });
+
+        const counted = await Order.aggregate({ groupBy: 'status' });
+        const loaded = await Order.aggregate({ groupBy: 'status', sum: 'amount' });
+        expect(counted).toEqual(loaded.map(({ group, count }) => ({ group, count })));
+        expect(counted[counted.length - 1]).toEqual({ group: null, count: 1 });
+
+        expect(await Order.aggregate({ groupBy: 'status' }, { region: 'us' })).toEqual([{ group: 'paid', count: 1 }]);
+    });
+
+    test('expired entries are not counted by the index paths', async () => {
+        await seed();
+        await Order.create({ id: 'o5', status: 'paid', region: 'us', amount: 1 }, { ttl: 10 });
+        client.advanceTime(11000);
+
+        expect(await Order.count({ status: 'paid' })).toBe(2);
+        expect(await Order.where({ status: 'paid' }).count()).toBe(2);
+        expect(await Order.count({ status: 'paid', region: 'us' })).toBe(1);
+        expect(await Order.aggregate({ groupBy: 'status' })).toEqual(
+            (await Order.aggregate({ groupBy: 'status', sum: 'amount' })).map(({ group, count }) => ({ group, count }))
+        );
+        // The expired id is dropped from the sets it was found in.
+        expect(await client.SMEMBERS('test:TestOrder:status:paid')).not.toContain('o5');
+    });
+
+    test('groups of fields that are not indexed are read from the entries', async () => {
+        await seed();
+
+        expect(await Order.aggregate({ groupBy: 'age' }, { region: 'eu' })).toEqual([
+            { group: 20, count: 1 },
+            { group: 30, count: 1 },
+            { group: null, count: 1 }
+        ]);
+    });
+
+    test('trashed entries are not counted', async () => {
+        Order._softDelete = true;
+        await seed();
+        await (await Order.get('o1')).remove();
+
+        expect(await Order.count()).toBe(3);
+        expect(await Order.count({ status: 'paid' })).toBe(1);
+        expect(await Order.aggregate({ groupBy: 'status' })).toEqual([
+            { group: 'open', count: 1 },
+            { group: 'paid', count: 1 },
+            { group: 'refunded', count: 1 }
+        ]);
+        expect(await Order.aggregate({ sum: 'amount' })).toEqual({ count: 3, sum: { amount: 42 } });
+    });
+
+    test('unknown fields throw', async () => {
+        await expect(Order.aggregate({ groupBy: 'nope' })).rejects.toThrow('TestOrder.nope is not a field');
+        await expect(Order.aggregate({ sum: ['amount', 'total'] })).rejects.toThrow('TestOrder.total is not a field');
+    });
+});
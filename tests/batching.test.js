@@ -0,0 +1,116 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('pipelined, batched loading', () => {
+    let client;
+    let Table;
+    let User;
+    let Post;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        // Reset the shared registry from previous tests.
+        Table.models = {};
+
+        class TestUser extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                name: { type: 'string', isRequired: true },
+                posts: { model: 'TestPost', rel: 'many', remoteKey: 'userId', localKey: 'id' }
+            };
+        }
+
+        class TestPost extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                title: { type: 'string', isRequired: true },
+                userId: { type: 'string', isRequired: true },
+                user: { model: 'TestUser', rel: 'one', localKey: 'userId' }
+            };
+        }
+
+        User = TestUser;
+        Post = TestPost;
+
+        User.register();
+        Post.register();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        client.flushall();
+    });
+
+    async function seed(){
+        for(const id of ['u1', 'u2', 'u3']){
+            await User.create({ id, name: id.toUpperCase() });
+        }
+        await Post.create({ id: 'p1', title: 'One', userId: 'u1' });
+        await Post.create({ id: 'p2', title: 'Two', userId: 'u1' });
+        await Post.create({ id: 'p3', title: 'Three', userId: 'u2' });
+        await Post.create({ id: 'p4', title: 'Four', userId: 'u2' });
+        await Post.create({ id: 'p5', title: 'Five', userId: 'u3' });
+    }
+
+    test('listDetail reads hashes in pipelines of _batchSize', async () => {
+        await seed();
+        User._batchSize = 2;
+        const pipelines = jest.spyOn(client, 'multi');
+        const get = jest.spyOn(User, 'get');
+
+        const users = await User.listDetail();
+
+        expect(users).toHaveLength(3);
+        expect(get).not.toHaveBeenCalled();
+        // Two user batches, each resolving its posts with one pipeline.
+        expect(pipelines).toHaveBeenCalledTimes(4);
+    });
+
+    test('rel:many relations are loaded once per batch', async () => {
+        await seed();
+        const list = jest.spyOn(Post, 'list');
+
+        const users = await User.listDetail();
+
+        expect(list).toHaveBeenCalledTimes(1);
+        const byId = Object.fromEntries(users.map(u => [u.id, u.posts.map(p => p.id).sort()]));
+        expect(byId).toEqual({ u1: ['p1', 'p2'], u2: ['p3', 'p4'], u3: ['p5'] });
+    });
+
+    test('rel:one targets are de-duplicated and read in one pipeline', async () => {
+        await seed();
+        const hgetall = jest.spyOn(client, 'HGETALL');
+
+        const posts = await Post.listDetail();
+
+        // Five posts plus three distinct users.
+        expect(hgetall).toHaveBeenCalledTimes(8);
+        for(const post of posts){
+            expect(post.user).toBeInstanceOf(User);
+            expect(post.user.id).toBe(post.userId);
+        }
+    });
+
+    test('a missing rel:one target leaves the field untouched', async () => {
+        await Post.create({ id: 'p1', title: 'Orphan', userId: 'nobody' });
+
+        const [post] = await Post.listDetail();
+
+        expect(post.user).toBeUndefined();
+    });
+
+    test('buildRelations() still resolves a single instance', async () => {
+        await seed();
+        const post = new Post({ id: 'p9', title: 'Loose', userId: 'u3' });
+
+        await post.buildRelations();
+
+        expect(post.user.name).toBe('U3');
+    });
+});
@@ -0,0 +1,222 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('onDelete rules', () => {
+    let client;
+    let Table;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    // A user with posts, and comments that belong to posts.
+    function defineModels({ posts, user, comments } = {}) {
+        class User extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                posts: { model: 'Post', rel: 'many', remoteKey: 'userId', localKey: 'id', onDelete: posts }
+            };
+        }
+
+        class Post extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                userId: { type: 'string', index: true },
+                user: { model: 'User', rel: 'one', localKey: 'userId', onDelete: user },
+                comments: { model: 'Comment', rel: 'many', remoteKey: 'postId', localKey: 'id', onDelete: comments }
+            };
+        }
+
+        class Comment extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                postId: { type: 'string' }
+            };
+        }
+
+        Table.register(User);
+        Table.register(Post);
+        Table.register(Comment);
+        return { User, Post, Comment };
+    }
+
+    async function seed({ User, Post, Comment }) {
+        await User.create({ id: 'u1' });
+        await User.create({ id: 'u2' });
+        await Post.create({ id: 'p1', userId: 'u1' });
+        await Post.create({ id: 'p2', userId: 'u1' });
+        await Post.create({ id: 'p3', userId: 'u2' });
+        await Comment.create({ id: 'c1', postId: 'p1' });
+        await Comment.create({ id: 'c2', postId: 'p3' });
+    }
+
+    test('without rules remove() leaves referencing entries alone', async () => {
+        const models = defineModels();
+        await seed(models);
+
+        await (await models.User.get('u1')).remove();
+        expect((await models.Post.list()).sort()).toEqual(['p1', 'p2', 'p3']);
+    });
+
+    describe('cascade', () => {
+        test('on a many relation removes the remote entries, recursively', async () => {
+            const models = defineModels({ posts: 'cascade', comments: 'cascade' });
+            await seed(models);
+
+            await (await models.User.get('u1')).remove();
+
+            expect(await models.User.list()).toEqual(['u2']);
+            expect(await models.Post.list()).toEqual(['p3']);
+            expect(await models.Comment.list()).toEqual(['c2']);
+            expect(await client.EXISTS('test:Post_p1')).toBe(0);
+            expect(await client.SMEMBERS('test:Post:userId:u1')).toEqual([]);
+        });
+
+        test('on a one relation removes the entries pointing at the removed one', async () => {
+            const models = defineModels({ user: 'cascade' });
+            await seed(models);
+
+            await (await models.User.get('u1')).remove();
+
+            expect(await models.Post.list()).toEqual(['p3']);
+            // Comment rules were not set, so the comment of p1 stays.
+            expect((await models.Comment.list()).sort()).toEqual(['c1', 'c2']);
+        });
+
+        test('runs the remove hooks of cascaded entries once each', async () => {
+            const models = defineModels({ posts: 'cascade', user: 'cascade' });
+            await seed(models);
+            const removed = [];
+            models.Post.on('afterRemove', post => { removed.push(post.id); });
+
+            await (await models.User.get('u1')).remove();
+            expect(removed.sort()).toEqual(['p1', 'p2']);
+        });
+
+        test('stops at entries already being removed', async () => {
+            class Node extends Table {
+                static _key = 'id';
+                static _keyMap = {
+                    id: { type: 'string', isRequired: true },
+                    parentId: { type: 'string' },
+                    children: { model: 'Node', rel: 'many', remoteKey: 'parentId', localKey: 'id', onDelete: 'cascade' }
+                };
+            }
+            Table.register(Node);
+            await Node.create({ id: 'a', parentId: 'b' });
+            await Node.create({ id: 'b', parentId: 'a' });
+            await Node.create({ id: 'c', parentId: 'b' });
+            await Node.create({ id: 'd' });
+
+            await (await Node.get('a')).remove();
+            expect(await Node.list()).toEqual(['d']);
+        });
+    });
+
+    describe('restrict', () => {
+        test('throws a 409 while referencing entries exist', async () => {
+            const models = defineModels({ posts: 'restrict' });
+            await seed(models);
+
+            const error = await (await models.User.get('u1')).remove().catch(error => error);
+            expect(error.name).toBe('EntryInUse');
+            expect(error.status).toBe(409);
+            expect(error.message).toBe('User:u1 is still referenced by User.posts');
+            expect(await models.User.exists('u1')).toBe(true);
+        });
+
+        test('allows the remove once nothing references the entry', async () => {
+            const models = defineModels({ user: 'restrict' });
+            await seed(models);
+
+            await expect((await models.User.get('u2')).remove())
+                .rejects.toMatchObject({ message: 'User:u2 is still referenced by Post.user' });
+
+            await (await models.Post.get('p3')).remove();
+            await (await models.User.get('u2')).remove();
+            expect(await models.User.exists('u2')).toBe(false);
+        });
+
+        test('is checked before any cascade runs', async () => {
+            const models = defineModels({ posts: 'cascade', comments: 'restrict' });
+            await seed(models);
+
+            // p1 has a comment, so the cascade from u1 is refused...
+            await expect((await models.Post.get('p1')).remove()).rejects.toMatchObject({ name: 'EntryInUse' });
+            // ...and removing p2 on its own is fine.
+            await (await models.Post.get('p2')).remove();
+
+            await expect((await models.User.get('u1')).remove()).rejects.toMatchObject({ name: 'EntryInUse' });
+            expect(await models.Post.exists('p1')).toBe(true);
+        });
+
+        test('is checked down the whole cascade before anything is removed', async () => {
+            const models = defineModels({ posts: 'cascade', comments: 'restrict' });
+            await seed(models);
+            await (await models.Comment.get('c1')).remove();
+            await models.Comment.create({ id: 'c3', postId: 'p2' });
+
+            // p1 could go, but p2 further along the cascade is still commented on.
+            await expect((await models.User.get('u1')).remove()).rejects.toMatchObject({
+                name: 'EntryInUse', message: 'Post:p2 is still referenced by Post.comments'
+            });
+            expect(await models.User.exists('u1')).toBe(true);
+            expect((await models.Post.list()).sort()).toEqual(['p1', 'p2', 'p3']);
+        });
+
+        test('is checked before the beforeRemove hook runs', async () => {
+            const models = defineModels({ posts: 'restrict' });
+            await seed(models);
+            const hook = jest.fn();
+            models.User.on('beforeRemove', hook);
+
+            await expect((await models.User.get('u1')).remove()).rejects.toMatchObject({ name: 'EntryInUse' });
+            expect(hook).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('setNull', () => {
+        test('clears the reference and its index', async () => {
+            const models = defineModels({ posts: 'setNull' });
+            await seed(models);
+
+            await (await models.User.get('u1')).remove();
+
+            expect((await models.Post.list()).sort()).toEqual(['p1', 'p2', 'p3']);
+            const post = await models.Post.get('p1');
+            expect(post.userId).toBeUndefined();
+            expect(await client.HGET('test:Post_p1', 'userId')).toBeNull();
+            expect(await client.SMEMBERS('test:Post:userId:u1')).toEqual([]);
+            expect((await models.Post.get('p3')).userId).toBe('u2');
+        });
+
+        test('bumps the version of versioned entries', async () => {
+            const models = defineModels({ user: 'setNull' });
+            models.Post._versioned = true;
+            await seed(models);
+
+            await (await models.User.get('u1')).remove();
+            const post = await models.Post.get('p1');
+            expect(post.userId).toBeUndefined();
+            expect(post._version).toBe(2);
+        });
+    });
+
+    test('unknown onDelete values throw', async () => {
+        const models = defineModels({ posts: 'nullify' });
+        await seed(models);
+
+        await expect((await models.User.get('u1')).remove())
+            .rejects.toThrow('User.posts has an unknown onDelete: nullify');
+    });
+});
@@ -0,0 +1,235 @@
+'use strict';
+
+const { Readable, Writable } = require('stream');
+const { finished } = require('stream/promises');
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+// A writable stream collecting what is written to it. Writes complete
+// asynchronously, so end() it and wait before reading.
+function collector(highWaterMark){
+    const chunks = [];
+    const stream = new Writable({
+        highWaterMark,
+        write(chunk, encoding, callback){
+            chunks.push(chunk.toString());
+            setImmediate(callback);
+        }
+    });
+    stream.text = async () => {
+        if(!stream.writableEnded){
+            stream.end();
+            await finished(stream);
+        }
+        return chunks.join('');
+    };
+    stream.lines = async () => (await stream.text()).split('\n').filter(Boolean).map(line => JSON.parse(line));
+    return stream;
+}
+
+describe('dump and restore', () => {
+    let client;
+    let Table;
+    let User;
+    let Tag;
+
+    function defineModels(table){
+        class TestUser extends table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                email: { type: 'string', unique: true },
+                role: { type: 'string', index: true },
+                age: { type: 'number', sorted: true },
+                tags: { model: 'TestTag', rel: 'manyToMany', inverse: 'users' }
+            };
+        }
+        class TestTag extends table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                users: { model: 'TestUser', rel: 'manyToMany', inverse: 'tags' }
+            };
+        }
+        table.models = {};
+        table.register(TestUser);
+        table.register(TestTag);
+        return [TestUser, TestTag];
+    }
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'prod:');
+        [User, Tag] = defineModels(Table);
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    async function seed(){
+        await User.create({ id: 'u1', email: 'a@example.com', role: 'admin', age: 30 }, { ttl: 100 });
+        await User.create({ id: 'u2', email: 'b@example.com', role: 'member', age: 40 });
+        await Tag.create({ id: 't1' });
+        await (await User.get('u1')).link('tags', 't1');
+    }
+
+    test('dump() writes one NDJSON line per entry with raw values', async () => {
+        await seed();
+        const out = collector();
+
+        expect(await Table.dump(out)).toBe(3);
+
+        const lines = await out.lines();
+        expect(lines).toContainEqual({
+            model: 'TestUser',
+            id: 'u1',
+            ttl: 100,
+            fields: { id: 'u1', email: 'a@example.com', role: 'admin', age: '30' },
+            links: { tags: ['t1'] }
+        });
+        expect(lines).toContainEqual({
+            model: 'TestUser', id: 'u2', ttl: 0,
+            fields: { id: 'u2', email: 'b@example.com', role: 'member', age: '40' }
+        });
+        expect(lines).toContainEqual({
+            model: 'TestTag', id: 't1', ttl: 0, fields: { id: 't1' }, links: { users: ['u1'] }
+        });
+        expect((await out.text()).endsWith('\n')).toBe(true);
+    });
+
+    test('dump() can be limited to some models', async () => {
+        await seed();
+        const out = collector();
+
+        await Table.dump(out, { models: ['TestTag'] });
+        expect((await out.lines()).map(line => line.model)).toEqual(['TestTag']);
+
+        await expect(Table.dump(collector(), { models: ['Nope'] })).rejects.toThrow('Nope is not a registered model');
+    });
+
+    test('dump() waits for a full stream to drain', async () => {
+        await seed();
+        const out = collector(1);
+        const write = jest.spyOn(out, 'write');
+
+        await Table.dump(out);
+        expect(write).toHaveBeenCalledTimes(3);
+        expect(await out.lines()).toHaveLength(3);
+    });
+
+    test('restore() rebuilds entries under another prefix', async () => {
+        await seed();
+        const out = collector();
+        await Table.dump(out);
+
+        const Staging = setUpTable(client, 'staging:');
+        const [StagingUser, StagingTag] = defineModels(Staging);
+
+        const report = await Staging.restore(Readable.from([await out.text()]));
+        expect(report).toEqual({ restored: 3, skipped: 0 });
+
+        expect((await StagingUser.list()).sort()).toEqual(['u1', 'u2']);
+        expect(await StagingUser.get('u1')).toMatchObject({ email: 'a@example.com', age: 30 });
+        expect(await client.SMEMBERS('staging:TestUser:role:admin')).toEqual(['u1']);
+        expect((await StagingUser.range('age', 35, 45)).map(user => user.id)).toEqual(['u2']);
+        expect(await client.GET('staging:TestUser::unique:email:b@example.com')).toBe('u2');
+        expect(await client.TTL('staging:TestUser_u1')).toBe(100);
+        expect(await client.TTL('staging:TestUser_u2')).toBe(-1);
+        expect(await (await StagingTag.get('t1')).linked('users')).toEqual([expect.objectContaining({ id: 'u1' })]);
+
+        await expect(StagingUser.create({ id: 'u3', email: 'a@example.com' }))
+            .rejects.toMatchObject({ name: 'EntryNameUsed' });
+    });
+
+    test("restore() keeps an 'increment' counter past the restored ids", async () => {
+        function defineTicket(table){
+            class Ticket extends table {
+                static _key = 'id';
+                static _keyGenerator = 'increment';
+                static _keyMap = {
+                    id: { type: 'string', isRequired: true },
+                    title: { type: 'string' }
+                };
+            }
+            table.models = {};
+            table.register(Ticket);
+            return Ticket;
+        }
+        const Ticket = defineTicket(Table);
+        await Ticket.create({ title: 'a' });
+        await Ticket.create({ title: 'b' });
+        const out = collector();
+        await Table.dump(out);
+
+        const Fresh = setUpTable(client, 'fresh:');
+        const FreshTicket = defineTicket(Fresh);
+        await Fresh.restore(Readable.from([await out.text()]));
+
+        expect((await FreshTicket.create({ title: 'c' })).id).toBe('3');
+
+        // A counter already past the dump is left where it is.
+        await client.SET('fresh:Ticket::counter', '10');
+        await Fresh.restore(Readable.from([await out.text()]), { mode: 'overwrite' });
+        expect((await FreshTicket.create({ title: 'd' })).id).toBe('11');
+    });
+
+    test('restore() skips existing entries by default', async () => {
+        await User.create({ id: 'u1', email: 'a@example.com', role: 'admin' });
+        const dump = JSON.stringify({ model: 'TestUser', id: 'u1', ttl: 0, fields: { id: 'u1', role: 'member' } });
+
+        expect(await Table.restore(Readable.from([dump]))).toEqual({ restored: 0, skipped: 1 });
+        expect((await User.get('u1')).role).toBe('admin');
+    });
+
+    test('restore() can overwrite existing entries', async () => {
+        await User.create({ id: 'u1', email: 'a@example.com', role: 'admin', age: 30 });
+        const dump = [
+            JSON.stringify({ model: 'TestUser', id: 'u1', ttl: 0, fields: { id: 'u1', email: 'a@example.com', role: 'member' } }),
+            ''
+        ].join('\n');
+
+        expect(await Table.restore(Readable.from([dump]), { mode: 'overwrite' })).toEqual({ restored: 1, skipped: 0 });
+
+        const user = await User.get('u1');
+        expect(user.role).toBe('member');
+        expect(user.age).toBeUndefined();
+        expect(await client.SMEMBERS('prod:TestUser:role:admin')).toEqual([]);
+        expect(await client.SMEMBERS('prod:TestUser:role:member')).toEqual(['u1']);
+        expect(await client.ZSCORE('prod:TestUser:age', 'u1')).toBeNull();
+        expect(await client.GET('prod:TestUser::unique:email:a@example.com')).toBe('u1');
+    });
+
+    test('restore() refuses unique values held by other entries', async () => {
+        await User.create({ id: 'u1', email: 'a@example.com' });
+        const dump = JSON.stringify({ model: 'TestUser', id: 'u2', ttl: 0, fields: { id: 'u2', email: 'a@example.com' } });
+
+        await expect(Table.restore(Readable.from([dump]))).rejects.toMatchObject({ name: 'EntryNameUsed' });
+        expect(await User.list()).toEqual(['u1']);
+    });
+
+    test('soft-deleted entries round trip into the trash', async () => {
+        User._softDelete = true;
+        await seed();
+        await (await User.get('u2')).remove();
+        const out = collector();
+        await Table.dump(out);
+        client.flushall();
+
+        await Table.restore(Readable.from([await out.text()]));
+
+        expect(await User.list()).toEqual(['u1']);
+        expect((await User.trash()).map(user => user.id)).toEqual(['u2']);
+    });
+
+    test('restore() reports bad lines', async () => {
+        await expect(Table.restore(Readable.from(['{"model":"TestUser"\n'])))
+            .rejects.toThrow('Line 1 of the dump is not valid JSON');
+        await expect(Table.restore(Readable.from(['\n{"model":"Nope","id":"x","fields":{"id":"x"}}\n'])))
+            .rejects.toThrow('Line 2 of the dump is for Nope, which is not a registered model');
+        await expect(Table.restore(Readable.from(['{"model":"TestUser","id":"x","fields":{}}\n'])))
+            .rejects.toThrow('Line 1 of the dump has no id or fields');
+        await expect(Table.restore(Readable.from([]), { mode: 'merge' }))
+            .rejects.toThrow('Unknown restore mode merge');
+    });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+const errors = require('../src/errors');
+const exported = require('../index');
+
+describe('error classes', () => {
+    let client;
+    let Table;
+    let User;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        class TestUser extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                email: { type: 'string', unique: true },
+                age: { type: 'number', min: 18 }
+            };
+        }
+        User = TestUser;
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    test('are exported from the package and on Table.errors', () => {
+        for(const name of ['ModelError', 'EntryNotFound', 'EntryNameUsed', 'ValidationError', 'StaleEntry', 'EntryInUse']){
+            expect(exported[name]).toBe(errors[name]);
+            expect(Table.errors[name]).toBe(errors[name]);
+        }
+        expect(exported.ObjectValidateError).toBe(errors.ValidationError);
+        expect(Table.errors.ObjectValidateError).toBe(errors.ValidationError);
+    });
+
+    test('every class is a ModelError and an Error', () => {
+        const error = new errors.EntryNotFound('TestUser:u1 does not exist', { model: 'TestUser', id: 'u1' });
+
+        expect(error).toBeInstanceOf(errors.EntryNotFound);
+        expect(error).toBeInstanceOf(errors.ModelError);
+        expect(error).toBeInstanceOf(Error);
+        expect(error.stack).toContain('EntryNotFound');
+    });
+
+    test('get() throws EntryNotFound', async () => {
+        const error = await User.get('u1').catch(error => error);
+
+        expect(error).toBeInstanceOf(Table.errors.EntryNotFound);
+        expect(error).toMatchObject({
+            name: 'EntryNotFound',
+            code: 'ENTRY_NOT_FOUND',
+            status: 404,
+            model: 'TestUser',
+            id: 'u1',
+            message: 'TestUser:u1 does not exist',
+            errors: []
+        });
+    });
+
+    test('create() throws EntryNameUsed for a taken key or unique value', async () => {
+        await User.create({ id: 'u1', email: 'a@example.com' });
+
+        const taken = await User.create({ id: 'u1' }).catch(error => error);
+        expect(taken).toBeInstanceOf(errors.EntryNameUsed);
+        expect(taken).toMatchObject({
+            code: 'ENTRY_NAME_USED',
+            status: 409,
+            model: 'TestUser',
+            id: 'u1',
+            message: 'TestUser:u1 already exists',
+            errors: [{ key: 'id', message: 'TestUser:u1 already exists' }]
+        });
+
+        const unique = await User.create({ id: 'u2', email: 'a@example.com' }).catch(error => error);
+        expect(unique).toMatchObject({
+            code: 'ENTRY_NAME_USED',
+            id: 'u2',
+            errors: [{ key: 'email', message: 'TestUser.email:a@example.com already exists' }]
+        });
+        expect(unique.keys).toBe(unique.errors);
+    });
+
+    test('validation failures throw ValidationError with readable messages', async () => {
+        const error = await User.create({ id: 'u1', age: 12 }).catch(error => error);
+
+        expect(error).toBeInstanceOf(errors.ValidationError);
+        expect(error).toMatchObject({
+            name: 'ValidationError',
+            code: 'VALIDATION_FAILED',
+            status: 422,
+            model: 'TestUser',
+            id: 'u1',
+            message: 'age is to small, min 18.',
+            errors: [{ key: 'age', message: 'age is to small, min 18.' }]
+        });
+
+        const user = await User.create({ id: 'u2' });
+        const update = await user.update({ age: 'old' }).catch(error => error);
+        expect(update).toMatchObject({ model: 'TestUser', id: 'u2', message: 'age is not number type.' });
+    });
+
+    test('an Express-style handler can rely on instanceof and status', async () => {
+        const handle = error => error instanceof errors.ModelError
+            ? { status: error.status, body: { code: error.code, errors: error.errors } }
+            : { status: 500 };
+
+        const response = handle(await User.get('nope').catch(error => error));
+        expect(response).toEqual({ status: 404, body: { code: 'ENTRY_NOT_FOUND', errors: [] } });
+    });
+});
@@ -0,0 +1,192 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+// Let the mock deliver published messages.
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('change events', () => {
+    let client;
+    let Table;
+    let User;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        class TestUser extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                name: { type: 'string' },
+                age: { type: 'number' }
+            };
+        }
+        User = TestUser;
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    async function collect(Model = User) {
+        const events = [];
+        const stop = await Model.subscribe(event => events.push(event));
+        return { events, stop };
+    }
+
+    test('create, update and remove publish events', async () => {
+        const { events } = await collect();
+
+        const user = await User.create({ id: 'u1', name: 'Ann' });
+        await user.update({ age: 30 });
+        await user.remove();
+        await flush();
+
+        expect(events).toEqual([
+            { model: 'TestUser', id: 'u1', op: 'create', changedFields: ['id', 'name'] },
+            { model: 'TestUser', id: 'u1', op: 'update', changedFields: ['age'] },
+            { model: 'TestUser', id: 'u1', op: 'remove', changedFields: [] }
+        ]);
+    });
+
+    test('events are published on a per-model channel inside the transaction', async () => {
+        const spy = jest.spyOn(client, 'PUBLISH');
+        await User.create({ id: 'u1' });
+
+        expect(spy).toHaveBeenCalledWith('test:TestUser::events', expect.any(String));
+    });
+
+    test('a rename reports the previous id', async () => {
+        const { events } = await collect();
+        const user = await User.create({ id: 'u1' });
+        await user.update({ id: 'u2' });
+        await flush();
+
+        expect(events[1]).toEqual({
+            model: 'TestUser', id: 'u2', op: 'update', changedFields: ['id'], previousId: 'u1'
+        });
+    });
+
+    test('a failed write publishes nothing', async () => {
+        await User.create({ id: 'u1' });
+        const { events } = await collect();
+
+        await expect(User.create({ id: 'u1' })).rejects.toMatchObject({ name: 'EntryNameUsed' });
+        await flush();
+        expect(events).toEqual([]);
+    });
+
+    test('expired entries are reported once when their id is cleaned up', async () => {
+        await User.create({ id: 'u1' }, { ttl: 10 });
+        await User.create({ id: 'u2' });
+        const { events } = await collect();
+
+        client.advanceTime(11000);
+        await User.listDetail();
+        await User.listDetail();
+        expect(await User.exists('u1')).toBe(false);
+        await flush();
+
+        expect(events).toEqual([
+            { model: 'TestUser', id: 'u1', op: 'expire', changedFields: [] }
+        ]);
+    });
+
+    test('exists() reports the expiry it cleans up', async () => {
+        await User.create({ id: 'u1' }, { ttl: 10 });
+        const { events } = await collect();
+
+        client.advanceTime(11000);
+        expect(await User.exists('u1')).toBe(false);
+        await flush();
+
+        expect(events.map(event => event.op)).toEqual(['expire']);
+    });
+
+    test('subscribers only get events of their model', async () => {
+        class TestPost extends Table {
+            static _key = 'id';
+            static _keyMap = { id: { type: 'string', isRequired: true } };
+        }
+        const users = await collect(User);
+        const posts = await collect(TestPost);
+
+        await User.create({ id: 'u1' });
+        await TestPost.create({ id: 'p1' });
+        await flush();
+
+        expect(users.events.map(event => event.id)).toEqual(['u1']);
+        expect(posts.events.map(event => event.id)).toEqual(['p1']);
+    });
+
+    test('subscriptions share one duplicated connection and can be stopped', async () => {
+        const spy = jest.spyOn(client, 'duplicate');
+        const first = await collect();
+        const second = await collect();
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        await first.stop();
+        await User.create({ id: 'u1' });
+        await flush();
+
+        expect(first.events).toEqual([]);
+        expect(second.events.map(event => event.op)).toEqual(['create']);
+    });
+
+    test('an update only reports the fields whose value changed', async () => {
+        const user = await User.create({ id: 'u1', name: 'Ann', age: 30 });
+        const { events } = await collect();
+
+        await user.update({ name: 'Ann', age: 31 });
+        await user.update({ name: 'Ann' });
+        await flush();
+
+        expect(events.map(event => event.changedFields)).toEqual([['age'], []]);
+    });
+
+    test('bad messages and handler errors are passed to onError', async () => {
+        const failure = new Error('handler failed');
+        const errors = [];
+        const handled = [];
+        await User.subscribe(async event => {
+            handled.push(event.op);
+            if(event.op === 'update') throw failure;
+        }, { onError: error => errors.push(error) });
+
+        await client.PUBLISH('test:TestUser::events', 'not json');
+        const user = await User.create({ id: 'u1' });
+        await user.update({ name: 'Ann' });
+        await user.remove();
+        await flush();
+
+        expect(errors).toHaveLength(2);
+        expect(errors[0]).toBeInstanceOf(SyntaxError);
+        expect(errors[1]).toBe(failure);
+        // The subscription keeps going.
+        expect(handled).toEqual(['create', 'update', 'remove']);
+    });
+
+    test('errors are logged without onError', async () => {
+        const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+        await User.subscribe(() => { throw new Error('handler failed'); });
+
+        await User.create({ id: 'u1' });
+        await flush();
+
+        expect(log).toHaveBeenCalledWith(expect.objectContaining({ message: 'handler failed' }));
+        log.mockRestore();
+    });
+
+    test('_events = false turns publishing off', async () => {
+        User._events = false;
+        const spy = jest.spyOn(client, 'PUBLISH');
+
+        const user = await User.create({ id: 'u1' });
+        await user.update({ name: 'Ann' });
+        await user.remove();
+
+        expect(spy).not.toHaveBeenCalled();
+    });
+});
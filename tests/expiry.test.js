@@ -0,0 +1,178 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+// Let the mock deliver notifications and the listener finish its cleanup.
+const flush = async () => {
+    for(let i = 0; i < 5; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+describe('expiry listener', () => {
+    let client;
+    let Table;
+    let Session;
+    let stop;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+        Table.models = {};
+
+        class TestSession extends Table {
+            static _key = 'id';
+            static _ttl = 10;
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                score: { type: 'number', sorted: true }
+            };
+        }
+        Session = TestSession;
+        Session.register();
+    });
+
+    afterEach(async () => {
+        if(stop) await stop();
+        stop = null;
+        client.flushall();
+    });
+
+    test('expired ids leave the index right away', async () => {
+        stop = await Table.startExpiryListener();
+        await Session.create({ id: 's1', score: 5 });
+        await Session.create({ id: 's2', score: 7 }, { ttl: 100 });
+
+        client.advanceTime(11000);
+        client.expireDue();
+        await flush();
+
+        expect(await Session.list()).toEqual(['s2']);
+        expect(await client.ZRANGE('test:TestSession:score', '-inf', '+inf', { BY: 'SCORE' })).toEqual(['s2']);
+    });
+
+    test('an expired event is emitted once per entry', async () => {
+        const expired = [];
+        Session.on('expired', id => { expired.push(id); });
+        const events = [];
+        await Session.subscribe(event => events.push(event));
+        stop = await Table.startExpiryListener();
+
+        await Session.create({ id: 's1' });
+        client.advanceTime(11000);
+        client.expireDue();
+        await flush();
+        // A later read finds nothing left to clean up.
+        expect(await Session.exists('s1')).toBe(false);
+        await flush();
+
+        expect(expired).toEqual(['s1']);
+        expect(events.filter(event => event.op === 'expire').map(event => event.id)).toEqual(['s1']);
+    });
+
+    test('the expired hook also runs for lazy cleanups', async () => {
+        const expired = [];
+        Session.on('expired', id => { expired.push(id); });
+
+        await Session.create({ id: 's1' });
+        client.advanceTime(11000);
+        expect(await Session.list()).toEqual(['s1']);
+        await Session.listDetail();
+
+        expect(expired).toEqual(['s1']);
+        expect(await Session.list()).toEqual([]);
+    });
+
+    test('keys of unregistered models, other prefixes and library keys are ignored', async () => {
+        class Unlisted extends Table {
+            static _key = 'id';
+            static _keyMap = { id: { type: 'string', isRequired: true } };
+        }
+        stop = await Table.startExpiryListener();
+        await Unlisted.create({ id: 'u1' }, { ttl: 1 });
+        await client.SET('other:TestSession_s9', 'x', { EX: 1 });
+        await client.SET('test:TestSession::unique:name_x', 'x', { EX: 1 });
+        const srem = jest.spyOn(client, 'SREM');
+
+        client.advanceTime(2000);
+        client.expireDue();
+        await flush();
+
+        expect(srem).not.toHaveBeenCalled();
+        expect(await Unlisted.list()).toEqual(['u1']);
+    });
+
+    test('ids containing underscores are mapped back whole', async () => {
+        stop = await Table.startExpiryListener();
+        await Session.create({ id: 'a_b' });
+
+        client.advanceTime(11000);
+        client.expireDue();
+        await flush();
+
+        expect(await Session.list()).toEqual([]);
+    });
+
+    test('a key is matched to the model with the longest name prefix', async () => {
+        class Test extends Table {
+            static _key = 'id';
+            static _keyMap = { id: { type: 'string', isRequired: true } };
+        }
+        class Test_Session extends Table {
+            static _key = 'id';
+            static _keyMap = { id: { type: 'string', isRequired: true } };
+        }
+        Test.register();
+        Test_Session.register();
+        stop = await Table.startExpiryListener();
+        await Test.create({ id: 't1' });
+        await Test_Session.create({ id: 's1' }, { ttl: 1 });
+
+        client.advanceTime(2000);
+        client.expireDue();
+        await flush();
+
+        expect(await Test_Session.list()).toEqual([]);
+        expect(await Test.list()).toEqual(['t1']);
+    });
+
+    test('errors of expired hooks are passed to onError', async () => {
+        const error = new Error('hook failed');
+        Session.on('expired', () => { throw error; });
+        const onError = jest.fn();
+        stop = await Table.startExpiryListener({ onError });
+
+        await Session.create({ id: 's1' });
+        client.advanceTime(11000);
+        client.expireDue();
+        await flush();
+
+        expect(onError).toHaveBeenCalledWith(error);
+    });
+
+    test('errors are logged without onError', async () => {
+        const error = new Error('hook failed');
+        Session.on('expired', () => { throw error; });
+        const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+        stop = await Table.startExpiryListener();
+
+        await Session.create({ id: 's1' });
+        client.advanceTime(11000);
+        client.expireDue();
+        await flush();
+
+        expect(log).toHaveBeenCalledWith(error);
+        log.mockRestore();
+    });
+
+    test('the returned function stops listening', async () => {
+        const stopListener = await Table.startExpiryListener();
+        await stopListener();
+
+        await Session.create({ id: 's1' });
+        client.advanceTime(11000);
+        client.expireDue();
+        await flush();
+
+        expect(await Session.list()).toEqual(['s1']);
+    });
+});
@@ -1,5 +1,15 @@
 'use strict';
 
+const { WatchError } = require('redis');
+const scripts = require('../../src/scripts');
+
+// Translate a redis glob ('*' and '?') to a regex.
+function globToRegExp(glob) {
+    return new RegExp('^' + glob.split('*')
+        .map(part => part.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\?/g, '.'))
+        .join('.*') + '$');
+}
+
 /**
  * Simple in-memory Redis mock for testing
  * Implements only the methods needed by model-redis
@@ -8,10 +18,17 @@ class MockRedisClient {
     constructor() {
         this.data = new Map();
         this.sets = new Map();
+        this.zsets = new Map();
+        this.strings = new Map();
+        this.lists = new Map();
         // key -> absolute expiry timestamp (mock-clock ms)
         this.expires = new Map();
         // Deterministic clock offset so tests can fast-forward without waiting.
         this._offset = 0;
+        // channel -> Set of listeners, shared by every duplicate() connection.
+        this.channels = new Map();
+        // pattern -> Set of listeners, for pSubscribe().
+        this.patterns = new Map();
     }
 
     // Current mock time. Tests move it forward with advanceTime().
@@ -25,28 +42,133 @@ class MockRedisClient {
     }
 
     // Lazily drop a key whose TTL has elapsed. Returns true if it was reaped.
+    // Like Redis, a reaped key is announced on the keyevent expired channel.
     _reap(key) {
         if (this.expires.has(key) && this.now() >= this.expires.get(key)) {
             this.data.delete(key);
             this.sets.delete(key);
+            this.zsets.delete(key);
+            this.strings.delete(key);
+            this.lists.delete(key);
             this.expires.delete(key);
+            this._deliver('__keyevent@0__:expired', key);
             return true;
         }
         return false;
     }
 
+    // Reap every key whose TTL has elapsed, as Redis' active expiry would.
+    expireDue() {
+        for (const key of [...this.expires.keys()]) this._reap(key);
+    }
+
     _hasKey(key) {
         this._reap(key);
-        return this.data.has(key) || this.sets.has(key);
+        return this.data.has(key) || this.sets.has(key) || this.zsets.has(key)
+            || this.strings.has(key) || this.lists.has(key);
     }
 
+    // Accepts HSET(key, field, value) and HSET(key, {field: value, ...}).
     async HSET(key, field, value) {
         this._reap(key);
         if (!this.data.has(key)) {
             this.data.set(key, new Map());
         }
-        this.data.get(key).set(field, value);
-        return 1;
+        const fields = typeof field === 'object' ? field : { [field]: value };
+        const hash = this.data.get(key);
+        let added = 0;
+        for (const [name, val] of Object.entries(fields)) {
+            if (!hash.has(name)) added++;
+            hash.set(name, String(val));
+        }
+        return added;
+    }
+
+    // Supports the {NX, XX, EX, PX, KEEPTTL} options.
+    async SET(key, value, options = {}) {
+        const exists = this._hasKey(key);
+        if ((options.NX && exists) || (options.XX && !exists)) return null;
+        this.data.delete(key);
+        this.sets.delete(key);
+        this.zsets.delete(key);
+        this.lists.delete(key);
+        this.strings.set(key, String(value));
+        if (options.EX !== undefined) this.expires.set(key, this.now() + options.EX * 1000);
+        else if (options.PX !== undefined) this.expires.set(key, this.now() + options.PX);
+        else if (!options.KEEPTTL) this.expires.delete(key);
+        return 'OK';
+    }
+
+    async GET(key) {
+        this._reap(key);
+        return this.strings.has(key) ? this.strings.get(key) : null;
+    }
+
+    // Only the library's own scripts are understood, run as JavaScript.
+    async EVAL(script, { keys = [], arguments: args = [] } = {}) {
+        if (script === scripts.RAISE_COUNTER) {
+            this._reap(keys[0]);
+            const current = Number(this.strings.get(keys[0]) || 0);
+            if (current >= Number(args[0])) return current;
+            this.strings.set(keys[0], args[0]);
+            return Number(args[0]);
+        }
+        if (script === scripts.PRUNE_VALUE) {
+            this._reap(keys[0]);
+            if (this.sets.has(keys[0]) && this.sets.get(keys[0]).size) return 0;
+            const values = this.sets.get(keys[1]);
+            if (!values || !values.delete(args[0])) return 0;
+            if (!values.size) this.sets.delete(keys[1]);
+            return 1;
+        }
+        if (script !== scripts.RELEASE_CLAIMS) throw new Error('ERR the mock does not know this script');
+
+        let released = 0;
+        for (const key of keys) {
+            this._reap(key);
+            if (this.strings.get(key) !== args[0]) continue;
+            this.strings.delete(key);
+            this.expires.delete(key);
+            released++;
+        }
+        return released;
+    }
+
+    async INCR(key) {
+        this._reap(key);
+        const next = Number(this.strings.get(key) || 0) + 1;
+        this.strings.set(key, String(next));
+        return next;
+    }
+
+    async HINCRBY(key, field, increment) {
+        this._reap(key);
+        if (!this.data.has(key)) {
+            this.data.set(key, new Map());
+        }
+        const hash = this.data.get(key);
+        const next = Number(hash.get(field) || 0) + Number(increment);
+        hash.set(field, String(next));
+        return next;
+    }
+
+    async HGET(key, field) {
+        this._reap(key);
+        if (!this.data.has(key) || !this.data.get(key).has(field)) return null;
+        return this.data.get(key).get(field);
+    }
+
+    async HDEL(key, ...fields) {
+        this._reap(key);
+        if (!this.data.has(key)) return 0;
+        const hash = this.data.get(key);
+        let removed = 0;
+        fields.flat().forEach(field => {
+            if (hash.delete(field)) removed++;
+        });
+        // Redis drops a hash key once its last field is removed.
+        if (!hash.size) this.data.delete(key);
+        return removed;
     }
 
     async HGETALL(key) {
@@ -63,6 +185,7 @@ class MockRedisClient {
     }
 
     async SADD(key, ...members) {
+        members = members.flat();
         if (!this.sets.has(key)) {
             this.sets.set(key, new Set());
         }
@@ -72,6 +195,7 @@ class MockRedisClient {
     }
 
     async SREM(key, ...members) {
+        members = members.flat();
         if (!this.sets.has(key)) {
             return 0;
         }
@@ -80,6 +204,8 @@ class MockRedisClient {
         members.forEach(member => {
             if (set.delete(member)) removed++;
         });
+        // Redis drops a set key once its last member is removed.
+        if (!set.size) this.sets.delete(key);
         return removed;
     }
 
@@ -90,6 +216,39 @@ class MockRedisClient {
         return Array.from(this.sets.get(key));
     }
 
+    async SCARD(key) {
+        return this.sets.has(key) ? this.sets.get(key).size : 0;
+    }
+
+    async SINTER(...keys) {
+        keys = keys.flat();
+        const [first, ...rest] = keys.map(key => this.sets.get(key) || new Set());
+        return Array.from(first || []).filter(member => rest.every(set => set.has(member)));
+    }
+
+    async SUNION(...keys) {
+        const out = new Set();
+        for (const key of keys.flat()) {
+            for (const member of this.sets.get(key) || []) out.add(member);
+        }
+        return Array.from(out);
+    }
+
+    // Pages through the set in sorted order. The cursor names the last member
+    // returned, so removals mid-walk do not skip anything, and '0' ends the
+    // walk like in Redis.
+    async SSCAN(key, cursor, options = {}) {
+        const after = String(cursor) === '0' ? null : String(cursor).slice(1);
+        const members = Array.from(this.sets.get(key) || [])
+            .sort()
+            .filter(member => after === null || member > after);
+        const page = members.slice(0, options.COUNT || 10);
+        return {
+            cursor: page.length < members.length ? `>${page[page.length - 1]}` : '0',
+            members: page,
+        };
+    }
+
     async SISMEMBER(key, member) {
         if (!this.sets.has(key)) {
             return 0;
@@ -97,17 +256,152 @@ class MockRedisClient {
         return this.sets.get(key).has(member) ? 1 : 0;
     }
 
+    async SMOVE(source, destination, member) {
+        if (!await this.SREM(source, member)) return 0;
+        await this.SADD(destination, member);
+        return 1;
+    }
+
+    async LPUSH(key, ...values) {
+        this._reap(key);
+        if (!this.lists.has(key)) this.lists.set(key, []);
+        const list = this.lists.get(key);
+        // Like Redis, each value is pushed onto the head in turn.
+        for (const value of values.flat()) list.unshift(String(value));
+        return list.length;
+    }
+
+    async RPUSH(key, ...values) {
+        this._reap(key);
+        if (!this.lists.has(key)) this.lists.set(key, []);
+        const list = this.lists.get(key);
+        list.push(...values.flat().map(String));
+        return list.length;
+    }
+
+    // Redis list indexes: negative ones count from the tail, stop is inclusive.
+    _listRange(list, start, stop) {
+        const from = start < 0 ? Math.max(list.length + start, 0) : start;
+        const to = stop < 0 ? list.length + stop : Math.min(stop, list.length - 1);
+        return [from, to];
+    }
+
+    async LRANGE(key, start, stop) {
+        this._reap(key);
+        const list = this.lists.get(key) || [];
+        const [from, to] = this._listRange(list, start, stop);
+        return list.slice(from, to + 1);
+    }
+
+    async LTRIM(key, start, stop) {
+        this._reap(key);
+        const list = this.lists.get(key);
+        if (!list) return 'OK';
+        const [from, to] = this._listRange(list, start, stop);
+        const kept = list.slice(from, to + 1);
+        if (kept.length) this.lists.set(key, kept);
+        else this.lists.delete(key);
+        return 'OK';
+    }
+
+    async LLEN(key) {
+        this._reap(key);
+        return (this.lists.get(key) || []).length;
+    }
+
+    async ZADD(key, members) {
+        this._reap(key);
+        if (!this.zsets.has(key)) {
+            this.zsets.set(key, new Map());
+        }
+        const zset = this.zsets.get(key);
+        let added = 0;
+        for (const { score, value } of [].concat(members)) {
+            if (!zset.has(value)) added++;
+            zset.set(value, Number(score));
+        }
+        return added;
+    }
+
+    async ZREM(key, ...members) {
+        if (!this.zsets.has(key)) {
+            return 0;
+        }
+        const zset = this.zsets.get(key);
+        let removed = 0;
+        members.flat().forEach(member => {
+            if (zset.delete(member)) removed++;
+        });
+        if (!zset.size) this.zsets.delete(key);
+        return removed;
+    }
+
+    async ZSCORE(key, member) {
+        const zset = this.zsets.get(key);
+        return zset && zset.has(member) ? String(zset.get(member)) : null;
+    }
+
+    async ZCARD(key) {
+        return this.zsets.has(key) ? this.zsets.get(key).size : 0;
+    }
+
+    // Supports the score form only: ZRANGE key min max {BY: 'SCORE', REV, LIMIT}.
+    async ZRANGE(key, start, stop, options = {}) {
+        this._reap(key);
+        if (options.BY === 'LEX') return this._zrangeByLex(key, start, stop);
+        const bound = value => {
+            if (value === '-inf' || value === -Infinity) return { value: -Infinity, open: false };
+            if (value === '+inf' || value === Infinity) return { value: Infinity, open: false };
+            const text = String(value);
+            return text.startsWith('(')
+                ? { value: Number(text.slice(1)), open: true }
+                : { value: Number(text), open: false };
+        };
+        const [low, high] = options.REV
+            ? [bound(stop), bound(start)]
+            : [bound(start), bound(stop)];
+
+        let entries = [...(this.zsets.get(key) || new Map()).entries()]
+            .filter(([, score]) => (low.open ? score > low.value : score >= low.value)
+                && (high.open ? score < high.value : score <= high.value))
+            .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+        if (options.REV) entries.reverse();
+        if (options.LIMIT) {
+            const { offset, count } = options.LIMIT;
+            entries = entries.slice(offset, count < 0 ? undefined : offset + count);
+        }
+        return entries.map(([member]) => member);
+    }
+
+    // ZRANGE BYLEX over members of equal score: '[x' and '(x' are inclusive
+    // and exclusive bounds, '-' and '+' the open ends.
+    _zrangeByLex(key, start, stop) {
+        const above = bound => bound === '-' ? () => true
+            : bound.startsWith('(') ? member => member > bound.slice(1) : member => member >= bound.slice(1);
+        const below = bound => bound === '+' ? () => true
+            : bound.startsWith('(') ? member => member < bound.slice(1) : member => member <= bound.slice(1);
+        const low = above(start), high = below(stop);
+        return [...(this.zsets.get(key) || new Map()).keys()]
+            .filter(member => low(member) && high(member))
+            .sort();
+    }
+
     async DEL(...keys) {
         let deleted = 0;
-        keys.forEach(key => {
+        keys.flat().forEach(key => {
             if (this.data.delete(key)) deleted++;
             if (this.sets.delete(key)) deleted++;
+            if (this.zsets.delete(key)) deleted++;
+            if (this.strings.delete(key)) deleted++;
+            if (this.lists.delete(key)) deleted++;
             this.expires.delete(key);
         });
         return deleted;
     }
 
     async RENAME(oldKey, newKey) {
+        // Like Redis, a missing (or expired) source key is an error.
+        if (!this._hasKey(oldKey)) throw new Error('ERR no such key');
         if (this.data.has(oldKey)) {
             this.data.set(newKey, this.data.get(oldKey));
             this.data.delete(oldKey);
@@ -116,6 +410,10 @@ class MockRedisClient {
             this.sets.set(newKey, this.sets.get(oldKey));
             this.sets.delete(oldKey);
         }
+        if (this.lists.has(oldKey)) {
+            this.lists.set(newKey, this.lists.get(oldKey));
+            this.lists.delete(oldKey);
+        }
         // Redis moves the TTL with the key on RENAME.
         if (this.expires.has(oldKey)) {
             this.expires.set(newKey, this.expires.get(oldKey));
@@ -167,20 +465,21 @@ class MockRedisClient {
     async TYPE(key) {
         this._reap(key);
         if (this.sets.has(key)) return 'set';
+        if (this.zsets.has(key)) return 'zset';
+        if (this.strings.has(key)) return 'string';
+        if (this.lists.has(key)) return 'list';
         if (this.data.has(key)) return 'hash';
         return 'none';
     }
 
     async SCAN(cursor, options = {}) {
         const match = options.MATCH;
-        // Translate a redis glob (only '*' is used by model-redis) to a regex.
-        const test = match
-            ? new RegExp('^' + match.split('*')
-                .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
-                .join('.*') + '$')
-            : null;
-
-        const keys = new Set([...this.data.keys(), ...this.sets.keys()]);
+        const test = match ? globToRegExp(match) : null;
+
+        const keys = new Set([
+            ...this.data.keys(), ...this.sets.keys(), ...this.zsets.keys(), ...this.strings.keys(),
+            ...this.lists.keys()
+        ]);
         const matched = [...keys]
             .filter(key => !this._reap(key))
             .filter(key => !test || test.test(key));
@@ -189,12 +488,186 @@ class MockRedisClient {
         return { cursor: 0, keys: matched };
     }
 
+    // Deliver to the listeners of `channel` asynchronously, like Redis.
+    // Returns the number of receivers.
+    async PUBLISH(channel, message) {
+        return this._deliver(channel, message);
+    }
+
+    _deliver(channel, message) {
+        const listeners = [...(this.channels.get(channel) || [])];
+        for (const [pattern, patternListeners] of this.patterns) {
+            if (globToRegExp(pattern).test(channel)) listeners.push(...patternListeners);
+        }
+        if (listeners.length) {
+            setImmediate(() => listeners.forEach(listener => listener(message, channel)));
+        }
+        return listeners.length;
+    }
+
+    async subscribe(channels, listener) {
+        for (const channel of [].concat(channels)) {
+            if (!this.channels.has(channel)) this.channels.set(channel, new Set());
+            this.channels.get(channel).add(listener);
+        }
+    }
+
+    async unsubscribe(channels, listener) {
+        for (const channel of [].concat(channels)) {
+            const listeners = this.channels.get(channel);
+            if (!listeners) continue;
+            if (listener) listeners.delete(listener);
+            else listeners.clear();
+            if (!listeners.size) this.channels.delete(channel);
+        }
+    }
+
+    async pSubscribe(patterns, listener) {
+        for (const pattern of [].concat(patterns)) {
+            if (!this.patterns.has(pattern)) this.patterns.set(pattern, new Set());
+            this.patterns.get(pattern).add(listener);
+        }
+    }
+
+    async pUnsubscribe(patterns, listener) {
+        for (const pattern of [].concat(patterns)) {
+            const listeners = this.patterns.get(pattern);
+            if (!listeners) continue;
+            if (listener) listeners.delete(listener);
+            else listeners.clear();
+            if (!listeners.size) this.patterns.delete(pattern);
+        }
+    }
+
+    // A second connection to the same data, with its own WATCH state and
+    // event listeners.
+    duplicate() {
+        const connection = Object.create(this);
+        connection._watched = new Map();
+        connection._listeners = new Map();
+        return connection;
+    }
+
+    async connect() {
+        this.isOpen = true;
+        return this;
+    }
+
+    // Connection events, such as the 'end' close() emits.
+    on(event, listener) {
+        if (!this._listeners) this._listeners = new Map();
+        if (!this._listeners.has(event)) this._listeners.set(event, []);
+        this._listeners.get(event).push(listener);
+        return this;
+    }
+
+    emit(event, ...args) {
+        for (const listener of (this._listeners && this._listeners.get(event)) || []) listener(...args);
+    }
+
+    async close() {
+        this.isOpen = false;
+        this.emit('end');
+    }
+
+    // Everything stored under `key`, to tell whether a WATCHed key changed.
+    _snapshot(key) {
+        this._reap(key);
+        const entries = store => store.has(key) ? [...store.get(key)].map(String) : null;
+        return JSON.stringify([
+            this.data.has(key) ? [...this.data.get(key)] : null,
+            entries(this.sets),
+            this.zsets.has(key) ? [...this.zsets.get(key)] : null,
+            this.strings.get(key),
+            this.lists.get(key),
+            this.expires.get(key),
+        ]);
+    }
+
+    async WATCH(...keys) {
+        if (!this._watched) this._watched = new Map();
+        for (const key of keys.flat()) this._watched.set(key, this._snapshot(key));
+        return 'OK';
+    }
+
+    async UNWATCH() {
+        this._watched = new Map();
+        return 'OK';
+    }
+
+    // Queue commands and run them back to back on exec(). The command bodies
+    // are synchronous, so nothing else can interleave with a transaction.
+    // Like Redis, exec() aborts with a WatchError if a WATCHed key changed.
+    multi() {
+        const client = this;
+        const queue = [];
+        const run = async () => Promise.all(queue.map(([name, args]) => client[name](...args)));
+        const exec = async () => {
+            const watched = client._watched || new Map();
+            client._watched = new Map();
+            for (const [key, snapshot] of watched) {
+                if (client._snapshot(key) !== snapshot) throw new WatchError();
+            }
+            return run();
+        };
+        const multi = new Proxy({}, {
+            get(target, name) {
+                if (name === 'exec') return exec;
+                if (name === 'execAsPipeline') return run;
+                if (typeof client[name] !== 'function') return undefined;
+                return (...args) => {
+                    queue.push([name, args]);
+                    return multi;
+                };
+            }
+        });
+        return multi;
+    }
+
     flushall() {
         this.data.clear();
         this.sets.clear();
+        this.zsets.clear();
+        this.strings.clear();
+        this.lists.clear();
         this.expires.clear();
+        this.channels.clear();
+        this.patterns.clear();
         this._offset = 0;
     }
 }
 
+// Like node-redis, refuse keys, fields and members that are not strings: its
+// encoder throws on a number where Redis takes a string. Each command lists
+// the positions of those arguments; `true` stands for all of them.
+const STRING_ARGUMENTS = {
+    HSET: [0], SET: [0], GET: [0], INCR: [0], HINCRBY: [0, 1], HGET: [0, 1], HDEL: true,
+    HGETALL: [0], SADD: true, SREM: true, SMEMBERS: [0], SCARD: [0], SINTER: true,
+    SUNION: true, SSCAN: [0, 1], SISMEMBER: true, SMOVE: true, LPUSH: true, RPUSH: true,
+    LRANGE: [0], LTRIM: [0], LLEN: [0], ZADD: [0], ZREM: true, ZSCORE: true, ZCARD: [0],
+    ZRANGE: [0], DEL: true, RENAME: true, EXPIRE: [0], PEXPIRE: [0], PERSIST: [0],
+    TTL: [0], PTTL: [0], EXISTS: true, TYPE: [0], PUBLISH: true, WATCH: true,
+};
+
+function checkString(name, position, value) {
+    if (Array.isArray(value)) {
+        value.forEach(item => checkString(name, position, item));
+    } else if (typeof value !== 'string' && !Buffer.isBuffer(value)) {
+        throw new TypeError(`${name}: "arguments[${position + 1}]" must be of type "string | Buffer", got ${typeof value}`);
+    }
+}
+
+for (const [name, positions] of Object.entries(STRING_ARGUMENTS)) {
+    const command = MockRedisClient.prototype[name];
+    MockRedisClient.prototype[name] = function (...args) {
+        args.forEach((arg, position) => {
+            if (positions === true || positions.includes(position)) checkString(name, position, arg);
+        });
+        if (name === 'ZADD') {
+            [].concat(args[1]).forEach(member => checkString(name, 1, member.value));
+        }
+        return command.apply(this, args);
+    };
+}
+
 module.exports = MockRedisClient;
@@ -0,0 +1,216 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('revision history', () => {
+    let client;
+    let Table;
+    let User;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        class TestUser extends Table {
+            static _key = 'id';
+            static _history = { limit: 3 };
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                name: { type: 'string' },
+                role: { type: 'string', index: true },
+                age: { type: 'number' },
+                password: { type: 'string', isPrivate: true }
+            };
+        }
+        User = TestUser;
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    test('update() records the old and new values of changed fields', async () => {
+        const user = await User.create({ id: 'u1', name: 'Ann', age: 30 });
+        await user.update({ name: 'Anna', age: 30, role: 'admin' }, { actor: 'admin-7' });
+
+        const history = await user.history();
+        expect(history).toEqual([{
+            at: expect.any(Date),
+            op: 'update',
+            actor: 'admin-7',
+            changes: {
+                name: { from: 'Ann', to: 'Anna' },
+                role: { from: null, to: 'admin' }
+            }
+        }]);
+    });
+
+    test('values come back as native types', async () => {
+        const user = await User.create({ id: 'u1', age: 30 });
+        await user.update({ age: 31 });
+
+        expect((await user.history())[0].changes.age).toEqual({ from: 30, to: 31 });
+    });
+
+    test('history is newest first and trimmed to the limit', async () => {
+        const user = await User.create({ id: 'u1', age: 1 });
+        for(const age of [2, 3, 4, 5]) await user.update({ age });
+
+        const history = await user.history();
+        expect(history.map(record => record.changes.age.to)).toEqual([5, 4, 3]);
+        expect(await client.LLEN('test:TestUser::history:u1')).toBe(3);
+    });
+
+    test('updates that change nothing and private fields are not recorded', async () => {
+        const user = await User.create({ id: 'u1', name: 'Ann', password: 'secret' });
+        await user.update({ name: 'Ann' });
+        await user.update({ password: 'hunter2' });
+
+        expect(await user.history()).toEqual([]);
+    });
+
+    test('revisionAt(n) returns the values from n changes ago', async () => {
+        const user = await User.create({ id: 'u1', name: 'Ann', age: 30 });
+        await user.update({ name: 'Anna' });
+        await user.update({ age: 31, role: 'admin' });
+
+        expect(await user.revisionAt(0)).toEqual({ id: 'u1', name: 'Anna', age: 31, role: 'admin' });
+        expect(await user.revisionAt(1)).toEqual({ id: 'u1', name: 'Anna', age: 30 });
+        expect(await user.revisionAt(2)).toEqual({ id: 'u1', name: 'Ann', age: 30 });
+        await expect(user.revisionAt(3)).rejects.toMatchObject({
+            name: 'EntryNotFound', message: 'TestUser:u1 has no revision 3'
+        });
+    });
+
+    test('revert(n) writes an old revision back', async () => {
+        const user = await User.create({ id: 'u1', name: 'Ann', age: 30 });
+        await user.update({ name: 'Anna' });
+        await user.update({ age: 31, role: 'admin' });
+
+        await user.revert(2, { actor: 'admin-7' });
+
+        const stored = await User.get('u1');
+        expect(stored).toMatchObject({ name: 'Ann', age: 30 });
+        expect(stored.role).toBeUndefined();
+        expect(user.role).toBeUndefined();
+        expect(await client.SMEMBERS('test:TestUser:role:admin')).toEqual([]);
+
+        // The revert is itself recorded.
+        const history = await user.history();
+        expect(history.slice(0, 2).map(record => record.actor)).toEqual(['admin-7', 'admin-7']);
+    });
+
+    test('revert() keeps private fields, which revisionAt() leaves out', async () => {
+        const user = await User.create({ id: 'u1', name: 'a', password: 'secret' });
+        await user.update({ name: 'b' });
+
+        expect(await user.revisionAt(1)).toEqual({ id: 'u1', name: 'a' });
+        await user.revert(1);
+
+        expect(await client.HGETALL('test:TestUser_u1')).toEqual({ id: 'u1', name: 'a', password: 'secret' });
+    });
+
+    test('a rename carries the history along', async () => {
+        const user = await User.create({ id: 'u1', name: 'Ann' });
+        await user.update({ name: 'Anna' });
+        await user.update({ id: 'u2' });
+
+        expect(await client.EXISTS('test:TestUser::history:u1')).toBe(0);
+        const history = await user.history();
+        expect(history.map(record => Object.keys(record.changes))).toEqual([['id'], ['name']]);
+        expect(await user.revisionAt(2)).toEqual({ id: 'u1', name: 'Ann' });
+    });
+
+    test('remove() records the removed values, and the history outlives it', async () => {
+        const user = await User.create({ id: 'u1', name: 'Ann', password: 'secret' });
+        await user.remove({ actor: 'admin-7' });
+
+        const [record] = await user.history();
+        expect(record).toMatchObject({
+            op: 'remove',
+            actor: 'admin-7',
+            changes: { id: { from: 'u1', to: null }, name: { from: 'Ann', to: null } }
+        });
+        expect(await user.revisionAt(1)).toEqual({ id: 'u1', name: 'Ann' });
+        await expect(user.revert(1)).rejects.toMatchObject({ name: 'EntryNotFound' });
+
+        // A new entry with the same id starts afresh.
+        const again = await User.create({ id: 'u1' });
+        expect(await again.history()).toEqual([]);
+    });
+
+    test('the history of a removed entry expires after keepRemoved', async () => {
+        const user = await User.create({ id: 'u1', name: 'Ann' });
+        await user.remove();
+        expect(await client.TTL('test:TestUser::history:u1')).toBe(30 * 24 * 60 * 60);
+
+        User._history = { limit: 3, keepRemoved: 60 };
+        const other = await User.create({ id: 'u2', name: 'Bob' });
+        await other.update({ name: 'Bobby' });
+        await other.remove();
+        client.advanceTime(61000);
+        expect(await client.EXISTS('test:TestUser::history:u2')).toBe(0);
+
+        User._history = { keepRemoved: 0 };
+        const third = await User.create({ id: 'u3', name: 'Cy' });
+        await third.update({ name: 'Cyd' });
+        await third.remove();
+        expect(await client.EXISTS('test:TestUser::history:u3')).toBe(0);
+    });
+
+    test('the history of an expired entry is deleted when the expiry is reported', async () => {
+        const user = await User.create({ id: 'u1', name: 'Ann' }, { ttl: 10 });
+        await user.update({ name: 'Anna' });
+        client.advanceTime(11000);
+
+        expect(await User.exists('u1')).toBe(false);
+        expect(await client.EXISTS('test:TestUser::history:u1')).toBe(0);
+    });
+
+    test('soft deletes record who removed the entry, purge() drops the history', async () => {
+        User._softDelete = true;
+        const user = await User.create({ id: 'u1', name: 'Ann' });
+        await user.update({ name: 'Anna' });
+        await user.remove({ actor: 'admin-7' });
+
+        expect((await user.history())[0]).toMatchObject({ op: 'remove', actor: 'admin-7', changes: {} });
+
+        await User.purge();
+        expect(await client.EXISTS('test:TestUser::history:u1')).toBe(0);
+    });
+
+    test('delete rules that unset a field are recorded', async () => {
+        class TestTeam extends Table {
+            static _key = 'id';
+            static _keyMap = { id: { type: 'string', isRequired: true } };
+        }
+        class TestMember extends Table {
+            static _key = 'id';
+            static _history = {};
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                teamId: { type: 'string', index: true },
+                team: { model: 'TestTeam', rel: 'one', localKey: 'teamId', onDelete: 'setNull' }
+            };
+        }
+        Table.register(TestTeam);
+        Table.register(TestMember);
+
+        const team = await TestTeam.create({ id: 't1' });
+        const member = await TestMember.create({ id: 'm1', teamId: 't1' });
+        await team.remove();
+
+        expect((await member.history())[0].changes).toEqual({ teamId: { from: 't1', to: null } });
+    });
+
+    test('models without _history record nothing', async () => {
+        User._history = null;
+        const user = await User.create({ id: 'u1', name: 'Ann' });
+        await user.update({ name: 'Anna' });
+        await user.remove();
+
+        expect(await client.EXISTS('test:TestUser::history:u1')).toBe(0);
+        expect(await user.history()).toEqual([]);
+    });
+});
@@ -0,0 +1,186 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('lifecycle hooks', () => {
+    let client;
+    let Table;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    function defineUser(extra = {}) {
+        class TestUser extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                name: { type: 'string' },
+                password: { type: 'string', isPrivate: true },
+                ...extra
+            };
+        }
+        Table.register(TestUser);
+        return TestUser;
+    }
+
+    test('static hooks run in create, update, remove and get', async () => {
+        const calls = [];
+        const User = defineUser();
+        User.hooks = {
+            beforeCreate: data => { calls.push(['beforeCreate', data.id]); },
+            afterCreate: (data, instance) => { calls.push(['afterCreate', instance.id]); },
+            beforeUpdate: (data, instance) => { calls.push(['beforeUpdate', instance.name, data.name]); },
+            afterUpdate: (data, instance) => { calls.push(['afterUpdate', instance.name]); },
+            beforeRemove: instance => { calls.push(['beforeRemove', instance.id]); },
+            afterRemove: instance => { calls.push(['afterRemove', instance.id]); },
+            afterLoad: instance => { calls.push(['afterLoad', instance.id]); }
+        };
+
+        const user = await User.create({ id: 'u1', name: 'Ann' });
+        await user.update({ name: 'Bea' });
+        await User.get('u1');
+        await user.remove();
+
+        expect(calls).toEqual([
+            ['beforeCreate', 'u1'],
+            ['afterLoad', 'u1'],
+            ['afterCreate', 'u1'],
+            ['beforeUpdate', 'Ann', 'Bea'],
+            ['afterUpdate', 'Bea'],
+            ['afterLoad', 'u1'],
+            ['beforeRemove', 'u1'],
+            ['afterRemove', 'u1']
+        ]);
+    });
+
+    test('a before hook can replace the data being written', async () => {
+        const User = defineUser();
+        User.hooks = {
+            beforeCreate: async data => ({ ...data, password: `hashed:${data.password}` }),
+            beforeUpdate: data => data.password ? { ...data, password: `hashed:${data.password}` } : data
+        };
+
+        const user = await User.create({ id: 'u1', password: 'secret' });
+        expect(user.password).toBe('hashed:secret');
+
+        await user.update({ password: 'other' });
+        expect(user.password).toBe('hashed:other');
+        expect((await User.get('u1')).password).toBe('hashed:other');
+    });
+
+    test('beforeCreate runs before validation and after key generation', async () => {
+        const User = defineUser({ slug: { type: 'string', isRequired: true } });
+        User._keyGenerator = () => 'generated';
+        User.hooks = { beforeCreate: data => ({ ...data, slug: `${data.id}-${data.name}` }) };
+
+        const user = await User.create({ name: 'ann' });
+        expect(user.slug).toBe('generated-ann');
+    });
+
+    test('a throwing before hook aborts the write', async () => {
+        const User = defineUser();
+        await User.create({ id: 'u1', name: 'Ann' });
+        User.hooks = {
+            beforeUpdate: () => { throw new Error('read only'); },
+            beforeRemove: () => { throw new Error('keep me'); }
+        };
+
+        const user = await User.get('u1');
+        await expect(user.update({ name: 'Bea' })).rejects.toThrow('read only');
+        await expect(user.remove()).rejects.toThrow('keep me');
+        expect((await User.get('u1')).name).toBe('Ann');
+    });
+
+    test('beforeUpdate sees renames', async () => {
+        const User = defineUser();
+        const seen = [];
+        User.on('beforeUpdate', (data, instance) => { seen.push([instance.id, data.id]); });
+
+        const user = await User.create({ id: 'u1' });
+        await user.update({ id: 'u2' });
+
+        expect(seen).toEqual([['u1', 'u2']]);
+    });
+
+    test('on() registers hooks alongside static hooks', async () => {
+        const User = defineUser();
+        const calls = [];
+        User.hooks = { afterCreate: () => { calls.push('static'); } };
+        User.on('afterCreate', () => { calls.push('first'); })
+            .on('afterCreate', () => { calls.push('second'); });
+
+        await User.create({ id: 'u1' });
+        expect(calls).toEqual(['static', 'first', 'second']);
+    });
+
+    test('on() rejects unknown events', () => {
+        const User = defineUser();
+        expect(() => User.on('beforeSave', () => {})).toThrow('TestUser has no beforeSave hook');
+    });
+
+    test('hooks compose across mixins and subclasses', async () => {
+        const calls = [];
+        const Timestamped = Base => class extends Base {
+            static hooks = { beforeCreate: data => ({ ...data, created: 1 }) };
+        };
+        const Audited = Base => class extends Base {
+            static hooks = { afterCreate: () => { calls.push('audited'); } };
+        };
+
+        class Base extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                created: { type: 'number' }
+            };
+        }
+
+        class Thing extends Audited(Timestamped(Base)) {
+            static hooks = { afterCreate: () => { calls.push('thing'); } };
+        }
+        Thing.on('afterCreate', () => { calls.push('registered'); });
+
+        const thing = await Thing.create({ id: 't1' });
+        expect(thing.created).toBe(1);
+        expect(calls).toEqual(['audited', 'thing', 'registered']);
+    });
+
+    test('hooks registered on a subclass do not leak to the parent', async () => {
+        const User = defineUser();
+        class Admin extends User {}
+        const calls = [];
+        Admin.on('afterCreate', () => { calls.push('admin'); });
+
+        await User.create({ id: 'u1' });
+        expect(calls).toEqual([]);
+    });
+
+    test('afterLoad runs for every instance loaded by listDetail and where', async () => {
+        const User = defineUser();
+        await User.create({ id: 'u1', name: 'Ann' });
+        await User.create({ id: 'u2', name: 'Bea' });
+        User.on('afterLoad', instance => { instance.loaded = true; });
+
+        const listed = await User.listDetail();
+        expect(listed.every(user => user.loaded)).toBe(true);
+
+        const queried = await User.where({ name: 'Bea' });
+        expect(queried.map(user => user.loaded)).toEqual([true]);
+    });
+
+    test('hooks run with the model as this', async () => {
+        const User = defineUser();
+        let self;
+        User.on('beforeCreate', function () { self = this; });
+
+        await User.create({ id: 'u1' });
+        expect(self).toBe(User);
+    });
+});
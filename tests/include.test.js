@@ -0,0 +1,169 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('selective relation loading', () => {
+    let client;
+    let Table;
+    let User;
+    let Post;
+    let Comment;
+
+    beforeEach(async () => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+        Table.models = {};
+
+        class TestUser extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                profileId: { type: 'string' },
+                profile: { model: 'TestProfile', rel: 'one', localKey: 'profileId' },
+                posts: { model: 'TestPost', rel: 'many', remoteKey: 'userId', localKey: 'id' }
+            };
+        }
+
+        class TestProfile extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                bio: { type: 'string' }
+            };
+        }
+
+        class TestPost extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                userId: { type: 'string', index: true },
+                user: { model: 'TestUser', rel: 'one', localKey: 'userId' },
+                comments: { model: 'TestComment', rel: 'many', remoteKey: 'postId', localKey: 'id' }
+            };
+        }
+
+        class TestComment extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                postId: { type: 'string' }
+            };
+        }
+
+        User = TestUser;
+        Post = TestPost;
+        Comment = TestComment;
+        User.register();
+        TestProfile.register();
+        Post.register();
+        Comment.register();
+
+        await TestProfile.create({ id: 'pr1', bio: 'Hi' });
+        await User.create({ id: 'u1', profileId: 'pr1' });
+        await User.create({ id: 'u2' });
+        await Post.create({ id: 'p1', userId: 'u1' });
+        await Comment.create({ id: 'c1', postId: 'p1' });
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    test('every relation is loaded by default', async () => {
+        const user = await User.get('u1');
+
+        expect(user.profile.bio).toBe('Hi');
+        expect(user.posts[0].comments.map(comment => comment.id)).toEqual(['c1']);
+    });
+
+    test('{include: false} loads no relations', async () => {
+        const spy = jest.spyOn(client, 'SUNION');
+        const user = await User.get('u1', { include: false });
+
+        expect(user.profile).toBeUndefined();
+        expect(user.profileId).toBe('pr1');
+        expect(user.posts).toBeUndefined();
+        expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('include loads only the listed relations', async () => {
+        const user = await User.get('u1', { include: ['posts'] });
+
+        expect(user.profile).toBeUndefined();
+        expect(user.posts.map(post => post.id)).toEqual(['p1']);
+        // Nested relations are only loaded when listed too.
+        expect(user.posts[0].comments).toBeUndefined();
+        expect(user.posts[0].user).toBeUndefined();
+    });
+
+    test('dotted paths load nested relations', async () => {
+        const user = await User.get('u1', { include: ['posts.comments', 'profile'] });
+
+        expect(user.profile.bio).toBe('Hi');
+        expect(user.posts[0].comments.map(comment => comment.id)).toEqual(['c1']);
+        expect(user.posts[0].user).toBeUndefined();
+    });
+
+    test('explicit paths may lead back to the starting model', async () => {
+        const post = await Post.get('p1', { include: ['user.posts'] });
+
+        expect(post.user.id).toBe('u1');
+        expect(post.user.posts.map(other => other.id)).toEqual(['p1']);
+    });
+
+    test('depth limits how many levels are loaded', async () => {
+        const user = await User.get('u1', { depth: 1 });
+
+        expect(user.profile.bio).toBe('Hi');
+        expect(user.posts.map(post => post.id)).toEqual(['p1']);
+        expect(user.posts[0].comments).toBeUndefined();
+
+        const bare = await User.get('u1', { depth: 0 });
+        expect(bare.posts).toBeUndefined();
+    });
+
+    test('depth applies on top of include', async () => {
+        const user = await User.get('u1', { include: ['posts.comments'], depth: 1 });
+
+        expect(user.posts.map(post => post.id)).toEqual(['p1']);
+        expect(user.posts[0].comments).toBeUndefined();
+    });
+
+    test('listDetail takes the same options', async () => {
+        const users = await User.listDetail({}, { include: ['profile'] });
+        const byId = Object.fromEntries(users.map(user => [user.id, user]));
+
+        expect(byId.u1.profile.bio).toBe('Hi');
+        expect(byId.u1.posts).toBeUndefined();
+        expect(byId.u2.posts).toBeUndefined();
+
+        const filtered = await User.listDetail({ id: 'u1' }, { include: false });
+        expect(filtered.map(user => user.posts)).toEqual([undefined]);
+    });
+
+    test('an unknown relation in include throws', async () => {
+        await expect(User.get('u1', { include: ['post'] })).rejects.toThrow('TestUser has no relation post');
+        await expect(User.get('u1', { include: ['posts.comment'] })).rejects.toThrow('TestPost has no relation comment');
+    });
+
+    test('a relation to an unregistered model is skipped unless included', async () => {
+        class Orphaned extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                thing: { model: 'Missing', rel: 'one' }
+            };
+        }
+        await Orphaned.create({ id: 'o1', thing: 'x' });
+
+        expect((await Orphaned.get('o1')).thing).toBe('x');
+        await expect(Orphaned.get('o1', { include: ['thing'] }))
+            .rejects.toThrow('Orphaned.thing refers to Missing, which is not registered');
+    });
+
+    test('errors while loading relations are no longer swallowed', async () => {
+        jest.spyOn(client, 'SUNION').mockRejectedValueOnce(new Error('connection lost'));
+        await expect(User.get('u1')).rejects.toThrow('connection lost');
+    });
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('secondary indexes', () => {
+    let client;
+    let Table;
+    let User;
+    let Post;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        // Reset the shared registry from previous tests.
+        Table.models = {};
+
+        class TestUser extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                name: { type: 'string', isRequired: true },
+                posts: { model: 'TestPost', rel: 'many', remoteKey: 'userId', localKey: 'id' }
+            };
+        }
+
+        class TestPost extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                title: { type: 'string', isRequired: true },
+                userId: { type: 'string', isRequired: true, index: true },
+                published: { type: 'boolean', default: false, index: true }
+            };
+        }
+
+        User = TestUser;
+        Post = TestPost;
+
+        User.register();
+        Post.register();
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    describe('write paths', () => {
+        test('create adds the id to each indexed value set', async () => {
+            await Post.create({ id: 'p1', title: 'Hi', userId: 'u1' });
+
+            expect(await client.SMEMBERS('test:TestPost:userId:u1')).toEqual(['p1']);
+            expect(await client.SMEMBERS('test:TestPost:published:false')).toEqual(['p1']);
+            // Non-indexed fields get no set.
+            expect(await client.TYPE('test:TestPost:title:Hi')).toBe('none');
+        });
+
+        test('update moves the id between value sets', async () => {
+            const post = await Post.create({ id: 'p1', title: 'Hi', userId: 'u1' });
+
+            await post.update({ userId: 'u2', title: 'Changed' });
+
+            expect(await client.SMEMBERS('test:TestPost:userId:u1')).toEqual([]);
+            expect(await client.SMEMBERS('test:TestPost:userId:u2')).toEqual(['p1']);
+            // Untouched indexed field keeps its membership.
+            expect(await client.SMEMBERS('test:TestPost:published:false')).toEqual(['p1']);
+        });
+
+        test('primary-key rename re-points every index set', async () => {
+            const post = await Post.create({ id: 'p1', title: 'Hi', userId: 'u1' });
+
+            await post.update({ id: 'p2' });
+
+            expect(await client.SMEMBERS('test:TestPost:userId:u1')).toEqual(['p2']);
+            expect(await client.SMEMBERS('test:TestPost:published:false')).toEqual(['p2']);
+        });
+
+        test('remove drops the id from every index set', async () => {
+            const post = await Post.create({ id: 'p1', title: 'Hi', userId: 'u1' });
+
+            await post.remove();
+
+            expect(await client.SMEMBERS('test:TestPost:userId:u1')).toEqual([]);
+            expect(await client.SMEMBERS('test:TestPost:published:false')).toEqual([]);
+        });
+    });
+
+    describe('listDetail', () => {
+        beforeEach(async () => {
+            await Post.create({ id: 'p1', title: 'One', userId: 'u1', published: true });
+            await Post.create({ id: 'p2', title: 'Two', userId: 'u1' });
+            await Post.create({ id: 'p3', title: 'Three', userId: 'u2', published: true });
+        });
+
+        test('answers indexed filters without reading other entries', async () => {
+            const spy = jest.spyOn(client, 'HGETALL');
+
+            const posts = await Post.listDetail({ userId: 'u1' });
+
+            expect(posts.map(p => p.id).sort()).toEqual(['p1', 'p2']);
+            expect(spy).toHaveBeenCalledTimes(2);
+            spy.mockRestore();
+        });
+
+        test('intersects several indexed fields', async () => {
+            const posts = await Post.listDetail({ userId: 'u1', published: true });
+
+            expect(posts.map(p => p.id)).toEqual(['p1']);
+        });
+
+        test('combines indexed and non-indexed fields', async () => {
+            const posts = await Post.listDetail({ userId: 'u1', title: 'Two' });
+
+            expect(posts.map(p => p.id)).toEqual(['p2']);
+        });
+
+        test('an empty filter returns every entry', async () => {
+            const posts = await Post.listDetail({});
+
+            expect(posts).toHaveLength(3);
+        });
+
+        test('skips and unlinks index members whose hash is gone', async () => {
+            await client.DEL('test:TestPost_p2');
+
+            const posts = await Post.listDetail({ userId: 'u1' });
+
+            expect(posts.map(p => p.id)).toEqual(['p1']);
+            expect(await client.SMEMBERS('test:TestPost:userId:u1')).toEqual(['p1']);
+        });
+
+        test('rel:many relations are loaded through the index', async () => {
+            await User.create({ id: 'u1', name: 'John' });
+
+            const user = await User.get('u1');
+
+            expect(user.posts.map(p => p.id).sort()).toEqual(['p1', 'p2']);
+        });
+    });
+
+    describe('reindex', () => {
+        test('rebuilds index sets for existing data', async () => {
+            await Post.create({ id: 'p1', title: 'One', userId: 'u1' });
+            await client.DEL('test:TestPost:userId:u1');
+            await client.SADD('test:TestPost:userId:stale', 'p1');
+
+            expect(await Post.reindex()).toBe(1);
+
+            expect(await client.SMEMBERS('test:TestPost:userId:u1')).toEqual(['p1']);
+            expect(await client.TYPE('test:TestPost:userId:stale')).toBe('none');
+        });
+    });
+
+    test('findOrphans does not mistake index sets for models', async () => {
+        await Post.create({ id: 'p1', title: 'One', userId: 'u1' });
+
+        const report = await Table.findOrphans();
+
+        expect(Object.keys(report.models).sort()).toEqual(['TestPost', 'TestUser']);
+        expect(report.unclassified).toEqual([]);
+    });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('cursor iteration', () => {
+    let client;
+    let Table;
+    let User;
+    let Post;
+
+    beforeEach(async () => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        class TestUser extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                role: { type: 'string' },
+                age: { type: 'number' },
+                posts: { model: 'TestPost', rel: 'many', remoteKey: 'userId', localKey: 'id' }
+            };
+        }
+
+        class TestPost extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                userId: { type: 'string' }
+            };
+        }
+
+        Table.register(TestUser);
+        Table.register(TestPost);
+        User = TestUser;
+        Post = TestPost;
+
+        for (let i = 0; i < 25; i++) {
+            await User.create({ id: `u${i}`, role: i % 5 ? 'member' : 'admin', age: i });
+        }
+        await Post.create({ id: 'p1', userId: 'u0' });
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    describe('iterate', () => {
+        test('yields every entry once, a page at a time', async () => {
+            const spy = jest.spyOn(client, 'SSCAN');
+            const seen = [];
+            for await (const user of User.iterate({ batchSize: 10 })) {
+                expect(user).toBeInstanceOf(User);
+                seen.push(user.id);
+            }
+
+            expect(seen.sort()).toEqual(Array.from({ length: 25 }, (_, i) => `u${i}`).sort());
+            expect(spy).toHaveBeenCalledTimes(3);
+            expect(spy.mock.calls[0][2]).toEqual({ COUNT: 10 });
+        });
+
+        test('never reads the index SET with SMEMBERS', async () => {
+            const spy = jest.spyOn(client, 'SMEMBERS');
+            for await (const user of User.iterate()) void user;
+            expect(spy).not.toHaveBeenCalledWith('test:TestUser');
+        });
+
+        test('applies a filter with query operators', async () => {
+            const seen = [];
+            for await (const user of User.iterate({ batchSize: 7, filter: { role: 'admin', age: { $gte: 10 } } })) {
+                seen.push(user.id);
+            }
+            expect(seen.sort()).toEqual(['u10', 'u15', 'u20']);
+        });
+
+        test('builds relations', async () => {
+            for await (const user of User.iterate({ filter: { id: 'u0' } })) {
+                expect(user.posts.map(post => post.id)).toEqual(['p1']);
+            }
+        });
+
+        test('skips and cleans up expired entries', async () => {
+            await client.DEL('test:TestUser_u3');
+
+            const seen = [];
+            for await (const user of User.iterate({ batchSize: 10 })) seen.push(user.id);
+
+            expect(seen).not.toContain('u3');
+            expect(seen).toHaveLength(24);
+            expect(await client.SISMEMBER('test:TestUser', 'u3')).toBe(0);
+        });
+
+        test('can stop early', async () => {
+            const spy = jest.spyOn(client, 'SSCAN');
+            for await (const user of User.iterate({ batchSize: 5 })) {
+                if (user) break;
+            }
+            expect(spy).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('page', () => {
+        test('walks the model with a resumable cursor', async () => {
+            const seen = [];
+            let cursor;
+            let pages = 0;
+            do {
+                const page = await User.page(cursor, 10);
+                seen.push(...page.items.map(user => user.id));
+                cursor = page.cursor;
+                pages++;
+            } while (cursor);
+
+            expect(pages).toBe(3);
+            expect(new Set(seen).size).toBe(25);
+        });
+
+        test('returns a null cursor once done', async () => {
+            const page = await User.page('0', 100);
+            expect(page.items).toHaveLength(25);
+            expect(page.cursor).toBeNull();
+        });
+
+        test('an empty model yields an empty last page', async () => {
+            const page = await Post.page(null, 10);
+            expect(page.items.map(post => post.id)).toEqual(['p1']);
+
+            await (await Post.get('p1')).remove();
+            expect(await Post.page(null, 10)).toEqual({ cursor: null, items: [] });
+        });
+    });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('primary key generation', () => {
+    let client;
+    let Table;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    function makeModel(keyGenerator, keyType = 'string'){
+        class Item extends Table {
+            static _key = 'id';
+            static _keyGenerator = keyGenerator;
+            static _keyMap = {
+                id: { type: keyType, isRequired: true },
+                name: { type: 'string' }
+            };
+        }
+        return Item;
+    }
+
+    test("'uuid' fills in a random UUID", async () => {
+        const Item = makeModel('uuid');
+
+        const a = await Item.create({ name: 'A' });
+        const b = await Item.create({ name: 'B' });
+
+        expect(a.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        expect(b.id).not.toBe(a.id);
+        expect((await Item.get(a.id)).name).toBe('A');
+    });
+
+    test("'increment' uses a per-model counter", async () => {
+        const Item = makeModel('increment');
+
+        const a = await Item.create({ name: 'A' });
+        const b = await Item.create({ name: 'B' });
+
+        expect([a.id, b.id]).toEqual(['1', '2']);
+        expect(await client.GET('test:Item::counter')).toBe('2');
+    });
+
+    test("'increment' returns numbers for a number primary key", async () => {
+        const Item = makeModel('increment', 'number');
+
+        const item = await Item.create({ name: 'A' });
+
+        expect(item.id).toBe(1);
+    });
+
+    test('number keys reach Redis as strings', async () => {
+        class Ticket extends Table {
+            static _key = 'id';
+            static _keyGenerator = 'increment';
+            static _keyMap = {
+                id: { type: 'number', isRequired: true },
+                status: { type: 'string', index: true },
+                code: { type: 'string', unique: true },
+                priority: { type: 'number', sorted: true },
+                title: { type: 'string', searchable: true }
+            };
+        }
+
+        // The mock refuses numbers where Redis takes a string, as node-redis does.
+        const ticket = await Ticket.create({ status: 'open', code: 'T-1', priority: 2, title: 'Broken' });
+        expect(ticket.id).toBe(1);
+        expect(await client.SMEMBERS('test:Ticket')).toEqual(['1']);
+
+        expect(await Ticket.exists(1)).toBe(true);
+        expect((await Ticket.get(1)).status).toBe('open');
+        await ticket.update({ status: 'closed', priority: 3, title: 'Fixed' });
+        expect((await Ticket.listDetail({ status: 'closed' })).map(entry => entry.id)).toEqual([1]);
+        expect((await Ticket.range('priority', 0, 5)).map(entry => entry.id)).toEqual([1]);
+        await ticket.expire(60);
+        await ticket.persist();
+        await ticket.remove();
+
+        expect(await Ticket.list()).toEqual([]);
+        expect(await client.GET('test:Ticket::unique:code:T-1')).toBeNull();
+    });
+
+    test('a custom async function receives the data', async () => {
+        const Item = makeModel(async data => `item-${data.name.toLowerCase()}`);
+
+        const item = await Item.create({ name: 'Widget' });
+
+        expect(item.id).toBe('item-widget');
+    });
+
+    test('a supplied primary key is kept', async () => {
+        const Item = makeModel('uuid');
+
+        const item = await Item.create({ id: 'mine', name: 'A' });
+
+        expect(item.id).toBe('mine');
+    });
+
+    test('the caller data is not mutated', async () => {
+        const Item = makeModel('uuid');
+        const data = { name: 'A' };
+
+        await Item.create(data);
+
+        expect(data).toEqual({ name: 'A' });
+    });
+
+    test('a missing key without a generator is a validation error', async () => {
+        class Loose extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string' },
+                name: { type: 'string' }
+            };
+        }
+
+        await expect(Loose.create({ name: 'A' })).rejects.toMatchObject({
+            name: 'ValidationError',
+            status: 422
+        });
+        expect(await Loose.list()).toEqual([]);
+        expect(await client.HGETALL('test:Loose_undefined')).toEqual({});
+    });
+
+    test('an unknown generator name throws', async () => {
+        const Item = makeModel('snowflake');
+
+        await expect(Item.create({ name: 'A' })).rejects.toThrow('Item has an unknown _keyGenerator: snowflake');
+    });
+});
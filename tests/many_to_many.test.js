@@ -0,0 +1,178 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('many-to-many relationships', () => {
+    let client;
+    let Table;
+    let User;
+    let Group;
+    let Post;
+    let Tag;
+
+    beforeEach(async () => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+        Table.models = {};
+
+        // Declared on both sides, paired through `inverse`.
+        class TestUser extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                groups: { model: 'TestGroup', rel: 'manyToMany', inverse: 'members' }
+            };
+        }
+
+        class TestGroup extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                members: { model: 'TestUser', rel: 'manyToMany', inverse: 'groups' }
+            };
+        }
+
+        // Declared on one side only.
+        class TestPost extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                tags: { model: 'TestTag', rel: 'manyToMany' }
+            };
+        }
+
+        class TestTag extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true }
+            };
+        }
+
+        User = TestUser;
+        Group = TestGroup;
+        Post = TestPost;
+        Tag = TestTag;
+        [User, Group, Post, Tag].forEach(Model => Model.register());
+
+        await User.create({ id: 'u1' });
+        await User.create({ id: 'u2' });
+        await Group.create({ id: 'g1' });
+        await Group.create({ id: 'g2' });
+        await Post.create({ id: 'p1' });
+        await Tag.create({ id: 'redis' });
+        await Tag.create({ id: 'node' });
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    test('link() writes both sides', async () => {
+        const user = await User.get('u1');
+        await user.link('groups', ['g1', await Group.get('g2', { include: false })]);
+
+        expect((await client.SMEMBERS('test:TestUser::link:groups:u1')).sort()).toEqual(['g1', 'g2']);
+        expect(await client.SMEMBERS('test:TestGroup::link:members:g1')).toEqual(['u1']);
+        expect(await client.SMEMBERS('test:TestGroup::link:members:g2')).toEqual(['u1']);
+    });
+
+    test('both sides load as relations and through linked()', async () => {
+        await (await User.get('u1')).link('groups', 'g1');
+        await (await Group.get('g1')).link('members', 'u2');
+
+        const group = await Group.get('g1');
+        expect(group.members.map(user => user.id).sort()).toEqual(['u1', 'u2']);
+
+        const user = await User.get('u2');
+        expect(user.groups.map(g => g.id)).toEqual(['g1']);
+        expect((await user.linked('groups')).map(g => g.id)).toEqual(['g1']);
+    });
+
+    test('a one-sided relation keeps its reverse set under <Model>.<field>', async () => {
+        const post = await Post.get('p1');
+        await post.link('tags', ['redis', 'node']);
+
+        expect(await client.SMEMBERS('test:TestTag::link:TestPost.tags:redis')).toEqual(['p1']);
+        expect((await Post.get('p1')).tags.map(tag => tag.id).sort()).toEqual(['node', 'redis']);
+    });
+
+    test('unlink() removes both sides', async () => {
+        const user = await User.get('u1');
+        await user.link('groups', ['g1', 'g2']);
+        await user.unlink('groups', 'g1');
+
+        expect(await client.SMEMBERS('test:TestUser::link:groups:u1')).toEqual(['g2']);
+        expect(await client.SMEMBERS('test:TestGroup::link:members:g1')).toEqual([]);
+        expect((await User.get('u1')).groups.map(g => g.id)).toEqual(['g2']);
+    });
+
+    test('link() refuses entries that do not exist', async () => {
+        const user = await User.get('u1');
+
+        await expect(user.link('groups', 'nope')).rejects.toMatchObject({ name: 'EntryNotFound', status: 404 });
+        expect(await client.SMEMBERS('test:TestUser::link:groups:u1')).toEqual([]);
+    });
+
+    test('link() only accepts manyToMany fields', async () => {
+        const user = await User.get('u1');
+        await expect(user.link('id', 'g1')).rejects.toThrow('TestUser.id is not a manyToMany relation');
+        await expect(user.linked('nope')).rejects.toThrow('TestUser.nope is not a manyToMany relation');
+    });
+
+    test('remove() unlinks the entry from both sides', async () => {
+        await (await User.get('u1')).link('groups', ['g1', 'g2']);
+        await (await User.get('u2')).link('groups', 'g1');
+
+        await (await Group.get('g1')).remove();
+
+        expect(await client.EXISTS('test:TestGroup::link:members:g1')).toBe(0);
+        expect(await client.SMEMBERS('test:TestUser::link:groups:u1')).toEqual(['g2']);
+        expect(await client.SMEMBERS('test:TestUser::link:groups:u2')).toEqual([]);
+    });
+
+    test('removing the target of a one-sided relation cleans both sides', async () => {
+        const post = await Post.get('p1');
+        await post.link('tags', ['redis', 'node']);
+
+        await (await Tag.get('redis')).remove();
+
+        expect(await client.EXISTS('test:TestTag::link:TestPost.tags:redis')).toBe(0);
+        expect(await client.SMEMBERS('test:TestPost::link:tags:p1')).toEqual(['node']);
+
+        await (await Post.get('p1')).remove();
+        expect(await client.SMEMBERS('test:TestTag::link:TestPost.tags:node')).toEqual([]);
+    });
+
+    test('renaming an entry moves its links', async () => {
+        const user = await User.get('u1');
+        await user.link('groups', ['g1', 'g2']);
+
+        await user.update({ id: 'u9' });
+
+        expect(await client.EXISTS('test:TestUser::link:groups:u1')).toBe(0);
+        expect((await client.SMEMBERS('test:TestUser::link:groups:u9')).sort()).toEqual(['g1', 'g2']);
+        expect(await client.SMEMBERS('test:TestGroup::link:members:g1')).toEqual(['u9']);
+
+        // An entry without links renames without touching link keys.
+        await (await User.get('u2')).update({ id: 'u3' });
+        expect(await User.exists('u3')).toBe(true);
+    });
+
+    test('expired linked entries are skipped and unlinked', async () => {
+        await (await User.get('u1')).link('groups', ['g1', 'g2']);
+        await client.DEL('test:TestGroup_g2');
+
+        const user = await User.get('u1');
+        expect(user.groups.map(g => g.id)).toEqual(['g1']);
+        expect(await client.SMEMBERS('test:TestUser::link:groups:u1')).toEqual(['g1']);
+    });
+
+    test('include chooses many-to-many relations like any other', async () => {
+        await (await User.get('u1')).link('groups', 'g1');
+
+        expect((await User.get('u1', { include: false })).groups).toBeUndefined();
+        const user = await User.get('u1', { include: ['groups.members'] });
+        expect(user.groups[0].members.map(member => member.id)).toEqual(['u1']);
+    });
+});
@@ -0,0 +1,251 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('schema versions and migrations', () => {
+    let client;
+    let Table;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    // Version 1 of the model: a single `name` and a string `age`.
+    function defineV1(){
+        class TestUser extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                name: { type: 'string' },
+                age: { type: 'string' }
+            };
+        }
+        return TestUser;
+    }
+
+    // Version 3: `name` split into first/last (2), `age` a number and a
+    // `role` filled in by its default (3).
+    function defineV3(extra = {}){
+        class TestUser extends Table {
+            static _key = 'id';
+            static _schemaVersion = 3;
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                first: { type: 'string', index: true },
+                last: { type: 'string' },
+                age: { type: 'number', sorted: true },
+                role: { type: 'string', default: 'member' }
+            };
+            static migrations = {
+                2: record => {
+                    const [first, last] = (record.name || '').split(' ');
+                    delete record.name;
+                    return { ...record, first, last };
+                },
+                3: async record => ({ ...record, age: Number(record.age) })
+            };
+        }
+        Object.assign(TestUser, extra);
+        return TestUser;
+    }
+
+    async function seedV1(){
+        const V1 = defineV1();
+        await V1.create({ id: 'u1', name: 'Ann Lee', age: '30' });
+        await V1.create({ id: 'u2', name: 'Bo Kim', age: '40' });
+    }
+
+    test('create() stores the schema version of the model', async () => {
+        const User = defineV3();
+        const user = await User.create({ id: 'u1', first: 'Ann', age: 30 });
+
+        expect(await client.HGET('test:TestUser_u1', '_schemaVersion')).toBe('3');
+        expect(user._schemaVersion).toBe(3);
+    });
+
+    test('models without a schema version store none', async () => {
+        const User = defineV1();
+        await User.create({ id: 'u1' });
+
+        expect(await client.HGET('test:TestUser_u1', '_schemaVersion')).toBeNull();
+    });
+
+    test('get() upgrades an old entry and writes it back', async () => {
+        await seedV1();
+        const User = defineV3();
+
+        const user = await User.get('u1');
+        expect(user).toMatchObject({ id: 'u1', first: 'Ann', last: 'Lee', age: 30, role: 'member' });
+        expect(user.name).toBeUndefined();
+
+        expect(await client.HGETALL('test:TestUser_u1')).toEqual({
+            id: 'u1', first: 'Ann', last: 'Lee', age: '30', role: 'member', _schemaVersion: '3'
+        });
+        // The indexes follow the migrated values.
+        expect(await client.SMEMBERS('test:TestUser:first:Ann')).toEqual(['u1']);
+        expect((await User.range('age', 25, 35)).map(item => item.id)).toEqual(['u1']);
+    });
+
+    test('listDetail() upgrades the entries it loads', async () => {
+        await seedV1();
+        const User = defineV3();
+
+        const users = await User.listDetail();
+        expect(users.map(user => user.first).sort()).toEqual(['Ann', 'Bo']);
+        expect(await client.HGET('test:TestUser_u2', '_schemaVersion')).toBe('3');
+    });
+
+    test('only the missing migrations run', async () => {
+        await seedV1();
+        const two = jest.fn(record => ({ ...record, first: 'X' }));
+        const three = jest.fn(record => record);
+        const User = defineV3({ migrations: { 2: two, 3: three } });
+        await client.HSET('test:TestUser_u2', '_schemaVersion', '2');
+
+        await User.get('u2');
+        expect(two).not.toHaveBeenCalled();
+        expect(three).toHaveBeenCalledTimes(1);
+
+        await User.get('u1');
+        await User.get('u1');
+        expect(two).toHaveBeenCalledTimes(1);
+        expect(three).toHaveBeenCalledTimes(2);
+    });
+
+    test('a migration that produces invalid data fails without writing', async () => {
+        await seedV1();
+        const User = defineV3({ migrations: { 2: record => record, 3: record => ({ ...record, age: 'old' }) } });
+
+        await expect(User.get('u1')).rejects.toMatchObject({ name: 'ValidationError', id: 'u1' });
+        expect(await client.HGET('test:TestUser_u1', 'name')).toBe('Ann Lee');
+        expect(await client.HGET('test:TestUser_u1', '_schemaVersion')).toBeNull();
+    });
+
+    test('a missing migration throws', async () => {
+        await seedV1();
+        const User = defineV3({ migrations: { 3: record => record } });
+
+        await expect(User.get('u1')).rejects.toThrow('TestUser has no migration to version 2');
+    });
+
+    test('versioned entries get a new version when upgraded', async () => {
+        const V1 = defineV1();
+        V1._versioned = true;
+        await V1.create({ id: 'u1', name: 'Ann Lee', age: '30' });
+        const User = defineV3({ _versioned: true });
+
+        const user = await User.get('u1');
+        expect(user._version).toBe(2);
+        await user.update({ last: 'Li' });
+        expect((await User.get('u1'))._version).toBe(3);
+    });
+
+    describe('migrate()', () => {
+        test('upgrades every entry in batches', async () => {
+            await seedV1();
+            const V1 = defineV1();
+            await V1.create({ id: 'u3', name: 'Cy Park', age: '50' });
+            const User = defineV3();
+            await User.create({ id: 'u4', first: 'Di', age: 20 });
+            const scan = jest.spyOn(client, 'SSCAN');
+
+            const report = await User.migrate({ batchSize: 2 });
+
+            expect(report).toEqual({ scanned: 4, migrated: 3, failed: [] });
+            expect(scan.mock.calls[0][2]).toEqual({ COUNT: 2 });
+            for(const id of ['u1', 'u2', 'u3']){
+                expect(await client.HGET(`test:TestUser_${id}`, '_schemaVersion')).toBe('3');
+            }
+        });
+
+        test('dryRun checks the migrations without writing', async () => {
+            await seedV1();
+            const User = defineV3();
+
+            expect(await User.migrate({ dryRun: true })).toEqual({ scanned: 2, migrated: 2, failed: [] });
+            expect(await client.HGET('test:TestUser_u1', 'name')).toBe('Ann Lee');
+            expect(await client.HGET('test:TestUser_u1', '_schemaVersion')).toBeNull();
+        });
+
+        test('reports failing entries and upgrades the others', async () => {
+            await seedV1();
+            const User = defineV3({
+                migrations: {
+                    2: record => {
+                        if(record.id === 'u2') throw new Error('bad name');
+                        return record;
+                    },
+                    3: record => ({ ...record, age: Number(record.age) })
+                }
+            });
+
+            const report = await User.migrate();
+            expect(report.migrated).toBe(1);
+            expect(report.failed.map(({ id, error }) => [id, error.message])).toEqual([['u2', 'bad name']]);
+            expect(await client.HGET('test:TestUser_u1', '_schemaVersion')).toBe('3');
+        });
+    });
+
+    describe('trashed entries', () => {
+        async function trashU1(){
+            await seedV1();
+            const V1 = defineV1();
+            V1._softDelete = true;
+            await (await V1.get('u1')).remove();
+            const User = defineV3({ _softDelete: true });
+            return User;
+        }
+
+        test('keep their deletedAt when a read upgrades them', async () => {
+            const User = await trashU1();
+
+            const [trashed] = await User.trash();
+            expect(trashed).toMatchObject({ id: 'u1', first: 'Ann', age: 30 });
+            expect(trashed.deletedAt).toBeInstanceOf(Date);
+            expect(await client.HGET('test:TestUser_u1', 'deletedAt')).not.toBeNull();
+            await expect(User.get('u1')).rejects.toMatchObject({ name: 'EntryNotFound' });
+        });
+
+        test('are upgraded by migrate()', async () => {
+            const User = await trashU1();
+
+            expect(await User.migrate()).toEqual({ scanned: 2, migrated: 2, failed: [] });
+            expect(await client.HGET('test:TestUser_u1', '_schemaVersion')).toBe('3');
+            expect(await client.HGET('test:TestUser_u1', 'first')).toBe('Ann');
+            expect(await client.HGET('test:TestUser_u1', 'deletedAt')).not.toBeNull();
+            expect(await client.SMEMBERS('test:TestUser::trash')).toEqual(['u1']);
+        });
+    });
+
+    test('a write landing during the upgrade restarts it', async () => {
+        await seedV1();
+        const User = defineV3();
+
+        // Another writer changes the entry between the read and the write.
+        const duplicate = client.duplicate.bind(client);
+        let interfered = false;
+        jest.spyOn(client, 'duplicate').mockImplementation(() => {
+            const connection = duplicate();
+            const WATCH = connection.WATCH.bind(connection);
+            connection.WATCH = async (...args) => {
+                const reply = await WATCH(...args);
+                if(!interfered){
+                    interfered = true;
+                    await client.HSET('test:TestUser_u1', 'name', 'Ann Moss');
+                }
+                return reply;
+            };
+            return connection;
+        });
+
+        const user = await User.get('u1');
+        expect(user.last).toBe('Moss');
+        expect(await client.HGET('test:TestUser_u1', 'last')).toBe('Moss');
+    });
+});
@@ -0,0 +1,229 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('nested writes', () => {
+    let client;
+    let Table;
+    let User;
+    let Post;
+    let Profile;
+    let Tag;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+        Table.models = {};
+
+        class TestUser extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                name: { type: 'string' },
+                profileId: { type: 'string' },
+                profile: { model: 'TestProfile', rel: 'one', localKey: 'profileId' },
+                posts: { model: 'TestPost', rel: 'many', remoteKey: 'userId', localKey: 'id' }
+            };
+        }
+
+        class TestProfile extends Table {
+            static _key = 'id';
+            static _keyGenerator = 'increment';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                bio: { type: 'string' }
+            };
+        }
+
+        class TestPost extends Table {
+            static _key = 'id';
+            static _keyGenerator = 'uuid';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                title: { type: 'string', isRequired: true },
+                userId: { type: 'string', isRequired: true, index: true },
+                user: { model: 'TestUser', rel: 'one', localKey: 'userId' },
+                tags: { model: 'TestTag', rel: 'manyToMany', inverse: 'posts' }
+            };
+        }
+
+        class TestTag extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                posts: { model: 'TestPost', rel: 'manyToMany', inverse: 'tags' }
+            };
+        }
+
+        User = TestUser;
+        Profile = TestProfile;
+        Post = TestPost;
+        Tag = TestTag;
+        [User, Profile, Post, Tag].forEach(Model => Model.register());
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    test('create() creates nested many entries with the foreign key set', async () => {
+        const user = await User.create({ id: 'u1', name: 'Ann', posts: [{ title: 'One' }, { title: 'Two' }] });
+
+        expect(user.posts.map(post => post.title).sort()).toEqual(['One', 'Two']);
+        expect(user.posts.every(post => post.userId === 'u1')).toBe(true);
+        expect(await Post.list()).toHaveLength(2);
+        // Nothing of the nested data ends up in the parent hash.
+        expect(await client.HGET('test:TestUser_u1', 'posts')).toBeNull();
+    });
+
+    test('create() links existing entries given by id or instance', async () => {
+        await User.create({ id: 'u0' });
+        const kept = await Post.create({ id: 'p1', title: 'Old', userId: 'u0' });
+        await Post.create({ id: 'p2', title: 'Other', userId: 'u0' });
+
+        const user = await User.create({ id: 'u1', posts: [kept, 'p2', { id: 'p3', title: 'New' }] });
+
+        expect(user.posts.map(post => post.id).sort()).toEqual(['p1', 'p2', 'p3']);
+        expect((await Post.get('p1')).userId).toBe('u1');
+        expect(await client.SMEMBERS('test:TestPost:userId:u0')).toEqual([]);
+    });
+
+    test('a nested one relation is created first and its key stored', async () => {
+        const user = await User.create({ id: 'u1', profile: { bio: 'Hi' } });
+
+        expect(user.profileId).toBe('1');
+        expect(user.profile).toBeInstanceOf(Profile);
+        expect(user.profile.bio).toBe('Hi');
+        expect(await client.HGET('test:TestUser_u1', 'profile')).toBeNull();
+    });
+
+    test('a nested one relation can satisfy a required foreign key', async () => {
+        const post = await Post.create({ title: 'Hello', user: { id: 'u1', name: 'Ann' } });
+
+        expect(post.userId).toBe('u1');
+        expect(post.user.name).toBe('Ann');
+        expect(await User.exists('u1')).toBe(true);
+    });
+
+    test('nested writes recurse', async () => {
+        await User.create({ id: 'u1', posts: [{ title: 'One', tags: [{ id: 'redis' }, { id: 'node' }] }] });
+
+        const tag = await Tag.get('redis');
+        expect(tag.posts.map(post => post.title)).toEqual(['One']);
+        expect(await Tag.exists('node')).toBe(true);
+    });
+
+    test('manyToMany items are linked, creating the missing ones', async () => {
+        await Tag.create({ id: 'redis' });
+        await User.create({ id: 'u1' });
+
+        const post = await Post.create({ title: 'One', userId: 'u1', tags: ['redis', { id: 'node' }] });
+
+        expect(post.tags.map(tag => tag.id).sort()).toEqual(['node', 'redis']);
+        expect((await Tag.get('node')).posts.map(other => other.id)).toEqual([post.id]);
+    });
+
+    // Every key in the mock, to check a failed write left nothing behind.
+    async function keys(){
+        const { keys } = await client.SCAN('0', { MATCH: '*', COUNT: 1000 });
+        return keys.sort();
+    }
+
+    test('a missing linked id fails with EntryNotFound and writes nothing', async () => {
+        await expect(User.create({ id: 'u1', posts: [{ title: 'ok' }, 'nope'] }))
+            .rejects.toMatchObject({ name: 'EntryNotFound' });
+
+        expect(await keys()).toEqual([]);
+    });
+
+    test('an invalid nested item fails before the parent is written', async () => {
+        await expect(User.create({ id: 'u2', posts: [{}] })).rejects.toMatchObject({ name: 'ValidationError' });
+
+        expect(await keys()).toEqual([]);
+    });
+
+    test('a taken parent id fails before nested one entries are created', async () => {
+        await User.create({ id: 'u1' });
+        const before = await keys();
+
+        await expect(User.create({ id: 'u1', profile: { bio: 'Hi' } })).rejects.toMatchObject({ name: 'EntryNameUsed' });
+
+        // Only the key counter moved on.
+        expect(await keys()).toEqual([...before, 'test:TestProfile::counter'].sort());
+        expect(await Profile.list()).toEqual([]);
+    });
+
+    test('a nested write failing after the parent commit is rolled back', async () => {
+        await expect(User.create({
+            id: 'u1',
+            profile: { bio: 'Hi' },
+            posts: [{ id: 'p1', title: 'One', tags: [{ id: 'redis' }] }, { id: 'p1', title: 'Again' }]
+        })).rejects.toMatchObject({ name: 'EntryNameUsed' });
+
+        expect(await keys()).toEqual(['test:TestProfile::counter']);
+    });
+
+    test('update() rolls back the parent and nested writes when a nested write fails', async () => {
+        await Tag.create({ id: 'redis' });
+        const user = await User.create({ id: 'u1', name: 'Ann', posts: [{ id: 'p0', title: 'Zero' }] });
+
+        await expect(user.update({
+            name: 'Bea',
+            profile: { bio: 'Hi' },
+            posts: [{ id: 'p1', title: 'One', tags: ['redis'] }, { id: 'p1', title: 'Again' }]
+        })).rejects.toMatchObject({ name: 'EntryNameUsed' });
+
+        const stored = await User.get('u1');
+        expect(stored.name).toBe('Ann');
+        expect(stored.profileId).toBeUndefined();
+        expect(stored.posts.map(post => post.id)).toEqual(['p0']);
+        expect(await Post.list()).toEqual(['p0']);
+        expect(await Profile.list()).toEqual([]);
+        expect(await client.SMEMBERS('test:TestTag::link:posts:redis')).toEqual([]);
+    });
+
+    test('update() checks nested items before writing anything', async () => {
+        const user = await User.create({ id: 'u1', name: 'Ann' });
+
+        await expect(user.update({ name: 'Bea', profile: { bio: 'Hi' }, posts: ['nope'] }))
+            .rejects.toMatchObject({ name: 'EntryNotFound' });
+
+        expect((await User.get('u1')).name).toBe('Ann');
+        expect(await Profile.list()).toEqual([]);
+    });
+
+    test('update() adds nested entries and reloads the relation', async () => {
+        const user = await User.create({ id: 'u1', posts: [{ title: 'One' }] });
+        await user.update({ name: 'Ann', posts: [{ title: 'Two' }] });
+
+        expect(user.name).toBe('Ann');
+        expect(user.posts.map(post => post.title).sort()).toEqual(['One', 'Two']);
+        expect((await User.get('u1')).posts).toHaveLength(2);
+    });
+
+    test('update() replaces a one relation given as an object', async () => {
+        const user = await User.create({ id: 'u1', profile: { bio: 'Old' } });
+        await user.update({ profile: { bio: 'New' } });
+
+        expect(user.profileId).toBe('2');
+        expect(user.profile.bio).toBe('New');
+        expect((await User.get('u1')).profile.bio).toBe('New');
+    });
+
+    test('a plain foreign key in a one relation field is stored as before', async () => {
+        class Note extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                author: { model: 'TestUser', rel: 'one' }
+            };
+        }
+        Note.register();
+        await User.create({ id: 'u1', name: 'Ann' });
+
+        const note = await Note.create({ id: 'n1', author: 'u1' });
+        expect(await client.HGET('test:Note_n1', 'author')).toBe('u1');
+        expect(note.author.name).toBe('Ann');
+    });
+});
@@ -4,6 +4,7 @@ const {
     processKeys,
     parseFromString,
     parseToString,
+    ValidationError,
     ObjectValidateError
 } = require('../src/object_validate');
 
@@ -126,17 +127,215 @@ describe('object_validate', () => {
                 age: { type: 'number', isRequired: true }
             };
 
+            expect.assertions(6);
             try {
                 processKeys(schema, {});
             } catch (error) {
-                expect(error.name).toBe('ObjectValidateError');
+                expect(error).toBeInstanceOf(ValidationError);
+                expect(error.name).toBe('ValidationError');
+                expect(error.code).toBe('VALIDATION_FAILED');
                 expect(error.status).toBe(422);
-                expect(Array.isArray(error.message)).toBe(true);
-                expect(error.message.length).toBe(2);
+                expect(error.errors.length).toBe(2);
+                expect(error.message).toBe('name is required. age is required.');
             }
         });
     });
 
+    describe('richer types and options', () => {
+
+        const messages = (schema, data) => {
+            try {
+                processKeys(schema, data);
+            } catch (error) {
+                return error.errors.map(item => item.message);
+            }
+            return [];
+        };
+
+        test('NaN is not a number', () => {
+            expect(messages({ age: { type: 'number' } }, { age: NaN })).toEqual(['age is not number type.']);
+        });
+
+        test('integer rejects fractions and applies min/max', () => {
+            const schema = { seats: { type: 'integer', min: 1, max: 10 } };
+
+            expect(processKeys(schema, { seats: 3 })).toEqual({ seats: 3 });
+            expect(messages(schema, { seats: 1.5 })).toEqual(['seats is not integer type.']);
+            expect(messages(schema, { seats: 11 })).toEqual(['seats is to large, max 10.']);
+        });
+
+        test('date accepts a Date, epoch ms or a date string and returns a Date', () => {
+            const schema = { at: { type: 'date' } };
+            const when = new Date('2024-05-01T00:00:00Z');
+
+            expect(processKeys(schema, { at: when }).at).toBe(when);
+            expect(processKeys(schema, { at: when.getTime() }).at).toEqual(when);
+            expect(processKeys(schema, { at: '2024-05-01T00:00:00Z' }).at).toEqual(when);
+            expect(messages(schema, { at: 'someday' })).toEqual(['at is not date type.']);
+            expect(messages(schema, { at: true })).toEqual(['at is not date type.']);
+        });
+
+        test('date min/max bound the date', () => {
+            const schema = { at: { type: 'date', min: '2020-01-01T00:00:00Z', max: '2021-01-01T00:00:00Z' } };
+
+            expect(messages(schema, { at: '2020-06-01' })).toEqual([]);
+            expect(messages(schema, { at: '2019-06-01T00:00:00Z' }))
+                .toEqual(['at is too early, min 2020-01-01T00:00:00.000Z.']);
+            expect(messages(schema, { at: '2022-06-01T00:00:00Z' }))
+                .toEqual(['at is too late, max 2021-01-01T00:00:00.000Z.']);
+        });
+
+        test('array checks the type and item count', () => {
+            const schema = { tags: { type: 'array', max: 2 } };
+
+            expect(processKeys(schema, { tags: ['a'] })).toEqual({ tags: ['a'] });
+            expect(messages(schema, { tags: 'a' })).toEqual(['tags is not array type.']);
+            expect(messages(schema, { tags: ['a', 'b', 'c'] })).toEqual(['tags has too many items, max 2.']);
+        });
+
+        test('enum limits the allowed values', () => {
+            const schema = { role: { type: 'string', enum: ['admin', 'member'] } };
+
+            expect(processKeys(schema, { role: 'admin' })).toEqual({ role: 'admin' });
+            expect(messages(schema, { role: 'root' })).toEqual(['role must be one of admin, member.']);
+        });
+
+        test('pattern takes a RegExp or a string', () => {
+            expect(messages({ zip: { type: 'string', pattern: /^\d{5}$/ } }, { zip: '1234' }))
+                .toEqual(['zip does not match /^\\d{5}$/.']);
+            expect(messages({ zip: { type: 'string', pattern: '^\\d{5}$' } }, { zip: '12345' })).toEqual([]);
+        });
+
+        test('format checks email, url and uuid', () => {
+            const schema = {
+                email: { type: 'string', format: 'email' },
+                site: { type: 'string', format: 'url' },
+                id: { type: 'string', format: 'uuid' }
+            };
+
+            expect(messages(schema, {
+                email: 'ann@example.com',
+                site: 'https://example.com/path?q=1',
+                id: '3f0e9a4c-1b2d-4e5f-8a9b-0c1d2e3f4a5b'
+            })).toEqual([]);
+            expect(messages(schema, { email: 'ann@', site: 'example.com', id: '1234' })).toEqual([
+                'email is not a valid email.',
+                'site is not a valid url.',
+                'id is not a valid uuid.'
+            ]);
+        });
+
+        test('an unknown format throws', () => {
+            expect(() => processKeys({ code: { type: 'string', format: 'isbn' } }, { code: 'x' }))
+                .toThrow('Unknown format isbn');
+        });
+
+        test('validate runs with the value and the data', () => {
+            const validate = jest.fn((value, data) => value !== data.name || 'must differ from name.');
+            const schema = {
+                name: { type: 'string' },
+                nick: { type: 'string', validate }
+            };
+
+            expect(messages(schema, { name: 'ann', nick: 'annie' })).toEqual([]);
+            expect(validate).toHaveBeenCalledWith('annie', { name: 'ann', nick: 'annie' });
+            expect(messages(schema, { name: 'ann', nick: 'ann' })).toEqual(['nick must differ from name.']);
+            expect(messages({ even: { type: 'number', validate: value => value % 2 === 0 } }, { even: 3 }))
+                .toEqual(['even is not valid.']);
+        });
+
+        test('options are not checked for fields that were not given', () => {
+            const schema = { role: { type: 'string', enum: ['admin'], validate: () => false } };
+
+            expect(processKeys(schema, {})).toEqual({ role: undefined });
+        });
+    });
+
+    describe('nested schemas', () => {
+
+        const errorsOf = (schema, data, partial) => {
+            try {
+                processKeys(schema, data, partial);
+            } catch (error) {
+                return error.errors;
+            }
+            return [];
+        };
+
+        const schema = {
+            settings: {
+                type: 'object',
+                schema: {
+                    theme: { type: 'string', isRequired: true },
+                    layout: {
+                        type: 'object',
+                        schema: { columns: { type: 'integer', min: 1 } }
+                    }
+                }
+            },
+            items: {
+                type: 'array',
+                schema: {
+                    type: 'object',
+                    schema: { name: { type: 'string', isRequired: true } }
+                }
+            },
+            tags: { type: 'array', schema: { type: 'string', max: 3 } }
+        };
+
+        test('valid nested data passes and unknown nested keys are dropped', () => {
+            const result = processKeys(schema, {
+                settings: { theme: 'dark', layout: { columns: 2 }, junk: true },
+                items: [{ name: 'a', junk: true }],
+                tags: ['x']
+            });
+
+            expect(result).toEqual({
+                settings: { theme: 'dark', layout: { columns: 2 } },
+                items: [{ name: 'a' }],
+                tags: ['x']
+            });
+            expect(result.settings).not.toHaveProperty('junk');
+        });
+
+        test('errors carry dotted paths', () => {
+            expect(errorsOf(schema, {
+                settings: { layout: { columns: 0 } },
+                items: [{ name: 'a' }, {}],
+                tags: ['ok', 'toolong']
+            })).toEqual([
+                { key: 'settings.theme', message: 'settings.theme is required.' },
+                { key: 'settings.layout.columns', message: 'settings.layout.columns is to small, min 1.' },
+                { key: 'items.1.name', message: 'items.1.name is required.' },
+                { key: 'tags.1', message: 'tags.1 is too short, max 3.' }
+            ]);
+        });
+
+        test('nested objects are checked in full on partial updates', () => {
+            expect(errorsOf(schema, { settings: {} }, true)).toEqual([
+                { key: 'settings.theme', message: 'settings.theme is required.' }
+            ]);
+            expect(errorsOf(schema, {}, true)).toEqual([]);
+        });
+
+        test('the item type is checked', () => {
+            expect(errorsOf(schema, { items: ['a'] })).toEqual([
+                { key: 'items.0', message: 'items.0 is not object type.' }
+            ]);
+        });
+
+        test('parseFromString restores nested dates', () => {
+            const dated = {
+                log: { type: 'array', schema: { type: 'object', schema: { at: { type: 'date' } } } }
+            };
+            const at = new Date('2024-01-01T00:00:00Z');
+
+            const result = parseFromString(dated, { log: parseToString([{ at }]) });
+            expect(result.log).toEqual([{ at }]);
+            expect(result.log[0].at).toBeInstanceOf(Date);
+        });
+    });
+
     describe('parseFromString', () => {
 
         test('should parse string to number', () => {
@@ -185,6 +384,17 @@ describe('object_validate', () => {
             expect(result.name).toBe('John');
         });
 
+        test('should parse integer, array and date', () => {
+            const schema = {
+                seats: { type: 'integer' },
+                tags: { type: 'array' },
+                at: { type: 'date' }
+            };
+
+            const result = parseFromString(schema, { seats: '4', tags: '["a","b"]', at: '1714521600000' });
+            expect(result).toEqual({ seats: 4, tags: ['a', 'b'], at: new Date(1714521600000) });
+        });
+
         test('should handle fields without type in schema', () => {
             const schema = {
                 name: { type: 'string' }
@@ -220,6 +430,10 @@ describe('object_validate', () => {
             expect(result).toBe('[1,2,3]');
         });
 
+        test('should convert a date to epoch milliseconds', () => {
+            expect(parseToString(new Date(1714521600000))).toBe('1714521600000');
+        });
+
         test('should keep string as string', () => {
             const result = parseToString('hello');
             expect(result).toBe('hello');
@@ -236,20 +450,25 @@ describe('object_validate', () => {
         });
     });
 
-    describe('ObjectValidateError', () => {
+    describe('ValidationError', () => {
 
         test('should create error with proper properties', () => {
-            const errors = [{ key: 'name', message: 'name is required' }];
-            const error = new ObjectValidateError(errors);
+            const errors = [{ key: 'name', message: 'name is required.' }];
+            const error = new ValidationError(errors);
 
-            expect(error.name).toBe('ObjectValidateError');
-            expect(error.message).toEqual(errors);
+            expect(error.name).toBe('ValidationError');
+            expect(error.message).toBe('name is required.');
+            expect(error.errors).toEqual(errors);
             expect(error.status).toBe(422);
         });
 
         test('should be instance of Error', () => {
-            const error = new ObjectValidateError([]);
+            const error = new ValidationError([]);
             expect(error instanceof Error).toBe(true);
         });
+
+        test('ObjectValidateError is the same class', () => {
+            expect(new ObjectValidateError([])).toBeInstanceOf(ValidationError);
+        });
     });
 });
@@ -0,0 +1,162 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+const { matches } = require('../src/query');
+
+describe('query builder', () => {
+
+    describe('matches', () => {
+        const record = { name: 'John', age: 30, role: 'admin', tags: undefined };
+
+        test('plain values are equality', () => {
+            expect(matches(record, { name: 'John', age: 30 })).toBe(true);
+            expect(matches(record, { name: 'Jane' })).toBe(false);
+        });
+
+        test('comparison operators', () => {
+            expect(matches(record, { age: { $gt: 29, $lt: 31 } })).toBe(true);
+            expect(matches(record, { age: { $gte: 30, $lte: 30 } })).toBe(true);
+            expect(matches(record, { age: { $gt: 30 } })).toBe(false);
+            expect(matches(record, { missing: { $lt: 100 } })).toBe(false);
+        });
+
+        test('$in, $ne and $exists', () => {
+            expect(matches(record, { role: { $in: ['admin', 'owner'] } })).toBe(true);
+            expect(matches(record, { role: { $ne: 'admin' } })).toBe(false);
+            expect(matches(record, { tags: { $exists: false }, name: { $exists: true } })).toBe(true);
+        });
+
+        test('$regex accepts a RegExp, a string or a bare RegExp value', () => {
+            expect(matches(record, { name: { $regex: /^jo/i } })).toBe(true);
+            expect(matches(record, { name: { $regex: '^J' } })).toBe(true);
+            expect(matches(record, { name: /hn$/ })).toBe(true);
+            expect(matches(record, { age: { $regex: '3' } })).toBe(false);
+        });
+
+        test('unknown operators throw', () => {
+            expect(() => matches(record, { age: { $near: 1 } })).toThrow('Unknown query operator $near');
+        });
+    });
+
+    describe('Model.where', () => {
+        let client;
+        let Table;
+        let User;
+
+        beforeEach(async () => {
+            client = new MockRedisClient();
+            Table = setUpTable(client, 'test:');
+
+            class TestUser extends Table {
+                static _key = 'id';
+                static _keyMap = {
+                    id: { type: 'string', isRequired: true },
+                    name: { type: 'string', isRequired: true },
+                    role: { type: 'string', index: true },
+                    age: { type: 'number', sorted: true },
+                    score: { type: 'number' }
+                };
+            }
+
+            User = TestUser;
+
+            await User.create({ id: 'u1', name: 'Ann', role: 'admin', age: 25, score: 3 });
+            await User.create({ id: 'u2', name: 'Bob', role: 'user', age: 35, score: 1 });
+            await User.create({ id: 'u3', name: 'Cid', role: 'user', age: 45, score: 2 });
+            await User.create({ id: 'u4', name: 'Dee', role: 'guest' });
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            client.flushall();
+        });
+
+        test('awaiting the builder returns matching instances', async () => {
+            const users = await User.where({ role: 'user' });
+
+            expect(users.map(u => u.id).sort()).toEqual(['u2', 'u3']);
+            expect(users[0]).toBeInstanceOf(User);
+        });
+
+        test('sort, limit and offset', async () => {
+            const users = await User.where({ age: { $exists: true } }).sort('age', 'desc').offset(1).limit(1);
+
+            expect(users.map(u => u.id)).toEqual(['u2']);
+        });
+
+        test('sorts unset values last', async () => {
+            const ids = await User.where({}).sort('age').ids();
+
+            expect(ids).toEqual(['u1', 'u2', 'u3', 'u4']);
+        });
+
+        test('chained where() calls are ANDed', async () => {
+            const ids = await User.where({ age: { $gte: 30 } }).where({ age: { $lt: 40 } }).ids();
+
+            expect(ids).toEqual(['u2']);
+        });
+
+        test('uses the sorted index for comparisons', async () => {
+            const hgetall = jest.spyOn(client, 'HGETALL');
+
+            const ids = await User.where({ age: { $gt: 30 } }).sort('age').ids();
+
+            expect(ids).toEqual(['u2', 'u3']);
+            expect(hgetall).toHaveBeenCalledTimes(2);
+        });
+
+        test('uses the value index for $in', async () => {
+            const hgetall = jest.spyOn(client, 'HGETALL');
+
+            const ids = await User.where({ role: { $in: ['admin', 'guest'] } }).sort('name').ids();
+
+            expect(ids).toEqual(['u1', 'u4']);
+            expect(hgetall).toHaveBeenCalledTimes(2);
+        });
+
+        test('intersects indexes and still checks unindexed clauses', async () => {
+            const hgetall = jest.spyOn(client, 'HGETALL');
+
+            const ids = await User.where({ role: 'user', age: { $lte: 40 }, score: { $ne: 2 } }).ids();
+
+            expect(ids).toEqual(['u2']);
+            expect(hgetall).toHaveBeenCalledTimes(1);
+        });
+
+        test('falls back to a scan without a usable index', async () => {
+            const ids = await User.where({ name: { $regex: /^[AB]/ } }).sort('name').ids();
+
+            expect(ids).toEqual(['u1', 'u2']);
+        });
+
+        test('first() returns one instance or null', async () => {
+            expect((await User.where({ role: 'user' }).sort('age').first()).id).toBe('u2');
+            expect(await User.where({ role: 'nobody' }).first()).toBeNull();
+        });
+
+        test('count() uses SCARD without a filter', async () => {
+            const scard = jest.spyOn(client, 'SCARD');
+            const hgetall = jest.spyOn(client, 'HGETALL');
+
+            expect(await User.where().count()).toBe(4);
+            expect(await User.where().limit(2).count()).toBe(2);
+            expect(scard).toHaveBeenCalled();
+            expect(hgetall).not.toHaveBeenCalled();
+        });
+
+        test('count() with a filter', async () => {
+            expect(await User.where({ role: 'user', score: { $gt: 1 } }).count()).toBe(1);
+        });
+
+        test('skips and unlinks ids whose hash is gone', async () => {
+            await client.DEL('test:TestUser_u3');
+
+            const ids = await User.where({ age: { $gt: 30 } }).ids();
+
+            expect(ids).toEqual(['u2']);
+            expect(await client.ZSCORE('test:TestUser:age', 'u3')).toBeNull();
+            expect(await User.list()).not.toContain('u3');
+        });
+    });
+});
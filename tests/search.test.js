@@ -0,0 +1,150 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+const { tokenize, rank } = require('../src/search');
+
+describe('full-text search', () => {
+    let client;
+    let Table;
+    let Article;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        class TestArticle extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                title: { type: 'string', searchable: true },
+                body: { type: 'string', searchable: true },
+                tag: { type: 'string' }
+            };
+        }
+        Article = TestArticle;
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    async function seed(){
+        await Article.create({ id: 'a1', title: 'Redis streams explained', body: 'Consumer groups and streams.' });
+        await Article.create({ id: 'a2', title: 'Caching with Redis', body: 'Expiry and eviction.' });
+        await Article.create({ id: 'a3', title: 'Postgres tuning', body: 'Indexes, vacuum and Redis caching.' });
+    }
+
+    const ids = entries => entries.map(entry => entry.id);
+
+    describe('tokenize()', () => {
+        test('lowercases, strips accents and splits on anything but letters and digits', () => {
+            expect(tokenize('Crème Brûlée, v2.0 — ÜBER-cool!')).toEqual(['creme', 'brulee', 'v2', '0', 'uber', 'cool']);
+        });
+
+        test('drops repeated words and empty values', () => {
+            expect(tokenize('a A a')).toEqual(['a']);
+            expect(tokenize('')).toEqual([]);
+            expect(tokenize(undefined)).toEqual([]);
+        });
+    });
+
+    describe('rank()', () => {
+        test('orders by terms matched, then field matches, then id', () => {
+            const matches = [
+                [['a', 'b'], ['b']],
+                [['c', 'b'], []]
+            ];
+            expect(rank(matches, 'any')).toEqual(['b', 'a', 'c']);
+            expect(rank(matches, 'all')).toEqual(['b']);
+        });
+    });
+
+    test('writes keep one word set per searchable field', async () => {
+        await seed();
+
+        expect(await client.SMEMBERS('test:TestArticle::search:title:redis')).toEqual(['a1', 'a2']);
+        expect(await client.SMEMBERS('test:TestArticle::search:body:redis')).toEqual(['a3']);
+        expect(await client.ZRANGE('test:TestArticle::terms:title', '[s', '[t', { BY: 'LEX' })).toEqual(['streams']);
+    });
+
+    test('search() requires every word by default and ranks by matches', async () => {
+        await seed();
+
+        // Both match both words in one field each, so the id breaks the tie.
+        expect(ids(await Article.search('redis caching'))).toEqual(['a2', 'a3']);
+        expect(ids(await Article.search('streams'))).toEqual(['a1']);
+        expect(ids(await Article.search('REDIS'))).toEqual(['a1', 'a2', 'a3']);
+        expect(await Article.search('mongodb redis')).toEqual([]);
+    });
+
+    test('mode any ranks entries matching more words first', async () => {
+        await seed();
+
+        expect(ids(await Article.search('streams caching postgres', { mode: 'any' }))).toEqual(['a3', 'a1', 'a2']);
+    });
+
+    test('fields limits the fields searched', async () => {
+        await seed();
+
+        expect(ids(await Article.search('redis', { fields: ['body'] }))).toEqual(['a3']);
+        await expect(Article.search('x', { fields: ['tag'] })).rejects.toThrow('TestArticle.tag is not a searchable field');
+    });
+
+    test('prefix matches the start of words', async () => {
+        await seed();
+
+        expect(ids(await Article.search('cach', { prefix: true }))).toEqual(['a2', 'a3']);
+        expect(await Article.search('cach')).toEqual([]);
+        expect(ids(await Article.search('red str', { prefix: true }))).toEqual(['a1']);
+    });
+
+    test('limit caps the results', async () => {
+        await seed();
+
+        expect(ids(await Article.search('redis', { limit: 2 }))).toEqual(['a1', 'a2']);
+    });
+
+    test('update() and remove() keep the word sets current', async () => {
+        await seed();
+        const article = await Article.get('a1');
+
+        await article.update({ title: 'Redis pub/sub' });
+        expect(ids(await Article.search('streams', { fields: ['title'] }))).toEqual([]);
+        expect(ids(await Article.search('pub sub'))).toEqual(['a1']);
+
+        await article.remove();
+        expect(await client.SMEMBERS('test:TestArticle::search:title:pub')).toEqual([]);
+        expect(ids(await Article.search('redis'))).toEqual(['a2', 'a3']);
+    });
+
+    test('expired and soft-deleted entries are left out', async () => {
+        Article._softDelete = true;
+        await seed();
+        await Article.create({ id: 'a4', title: 'Redis sessions' }, { ttl: 10 });
+        await (await Article.get('a2')).remove();
+
+        client.advanceTime(11000);
+        expect(ids(await Article.search('redis'))).toEqual(['a1', 'a3']);
+        // The expired id is dropped from the word sets the search read.
+        expect(await client.SMEMBERS('test:TestArticle::search:title:redis')).toEqual(['a1', 'a2']);
+    });
+
+    test('reindex() rebuilds the word sets', async () => {
+        await seed();
+        await client.DEL('test:TestArticle::search:title:redis');
+        await client.SADD('test:TestArticle::search:title:stale', 'a1');
+
+        await Article.reindex();
+
+        expect(await client.SMEMBERS('test:TestArticle::search:title:redis')).toEqual(['a1', 'a2']);
+        expect(await client.SMEMBERS('test:TestArticle::search:title:stale')).toEqual([]);
+    });
+
+    test('an empty query or unknown mode', async () => {
+        await seed();
+
+        expect(await Article.search(' ,. ')).toEqual([]);
+        await expect(Article.search('redis', { mode: 'some' })).rejects.toThrow('Unknown search mode some');
+    });
+});
@@ -0,0 +1,293 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+// Let the mock deliver published messages.
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('soft delete', () => {
+    let client;
+    let Table;
+    let User;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        class TestUser extends Table {
+            static _key = 'id';
+            static _softDelete = true;
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                email: { type: 'string', unique: true },
+                role: { type: 'string', index: true },
+                age: { type: 'number', sorted: true }
+            };
+        }
+        User = TestUser;
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    async function seed(){
+        await User.create({ id: 'u1', email: 'a@example.com', role: 'admin', age: 30 });
+        await User.create({ id: 'u2', email: 'b@example.com', role: 'admin', age: 40 });
+    }
+
+    test('remove() moves the id to the trash and stamps deletedAt', async () => {
+        await seed();
+        const user = await User.get('u1');
+
+        expect(await user.remove()).toBe(user);
+
+        expect(user.deletedAt).toBeInstanceOf(Date);
+        expect(await client.SMEMBERS('test:TestUser')).toEqual(['u2']);
+        expect(await client.SMEMBERS('test:TestUser::trash')).toEqual(['u1']);
+        expect(await client.HGET('test:TestUser_u1', 'deletedAt')).toBe(String(user.deletedAt.getTime()));
+        expect(await client.HGET('test:TestUser_u1', 'email')).toBe('a@example.com');
+    });
+
+    test('trashed entries are left out of reads', async () => {
+        await seed();
+        await (await User.get('u1')).remove();
+
+        await expect(User.get('u1')).rejects.toMatchObject({ name: 'EntryNotFound' });
+        expect(await User.exists('u1')).toBe(false);
+        expect(await User.list()).toEqual(['u2']);
+        expect((await User.listDetail()).map(user => user.id)).toEqual(['u2']);
+        expect((await User.listDetail({ role: 'admin' })).map(user => user.id)).toEqual(['u2']);
+        expect((await User.range('age', 0, 100)).map(user => user.id)).toEqual(['u2']);
+    });
+
+    test('withDeleted includes them', async () => {
+        await seed();
+        await (await User.get('u1')).remove();
+
+        const user = await User.get('u1', { withDeleted: true });
+        expect(user.deletedAt).toBeInstanceOf(Date);
+
+        const all = await User.listDetail({}, { withDeleted: true });
+        expect(all.map(user => user.id).sort()).toEqual(['u1', 'u2']);
+
+        const admins = await User.listDetail({ role: 'admin' }, { withDeleted: true });
+        expect(admins.map(user => user.id).sort()).toEqual(['u1', 'u2']);
+    });
+
+    test('a trashed id and its unique values stay taken', async () => {
+        await seed();
+        await (await User.get('u1')).remove();
+
+        await expect(User.create({ id: 'u1' })).rejects.toMatchObject({ name: 'EntryNameUsed' });
+        await expect(User.create({ id: 'u3', email: 'a@example.com' })).rejects.toMatchObject({ name: 'EntryNameUsed' });
+
+        const other = await User.get('u2');
+        await expect(other.update({ id: 'u1' })).rejects.toMatchObject({ name: 'EntryNameUsed' });
+    });
+
+    test('restore() puts the entry back', async () => {
+        await seed();
+        const user = await User.get('u1');
+        await user.remove();
+
+        expect(await user.restore()).toBe(user);
+
+        expect(user.deletedAt).toBeUndefined();
+        expect((await User.list()).sort()).toEqual(['u1', 'u2']);
+        expect(await client.SMEMBERS('test:TestUser::trash')).toEqual([]);
+        expect(await User.get('u1')).toMatchObject({ id: 'u1', email: 'a@example.com', age: 30 });
+        expect((await User.listDetail({ role: 'admin' })).length).toBe(2);
+    });
+
+    test('restore() of an entry that is not in the trash throws', async () => {
+        await seed();
+        const user = await User.get('u1');
+
+        await expect(user.restore()).rejects.toMatchObject({
+            name: 'EntryNotFound', message: 'TestUser:u1 is not in the trash'
+        });
+    });
+
+    test('a trashed entry cannot be updated until restored', async () => {
+        await seed();
+        const user = await User.get('u1');
+        await user.remove();
+
+        await expect(user.update({ age: 31 })).rejects.toMatchObject({ name: 'EntryNotFound' });
+
+        await user.restore();
+        await user.update({ age: 31 });
+        expect((await User.get('u1')).age).toBe(31);
+    });
+
+    test('trash() lists the trashed entries, most recent first', async () => {
+        await seed();
+        await (await User.get('u2')).remove();
+        await (await User.get('u1')).remove();
+        await client.HSET('test:TestUser_u1', 'deletedAt', String(Date.now() - 60000));
+
+        const trash = await User.trash();
+        expect(trash.map(user => user.id)).toEqual(['u2', 'u1']);
+        expect(trash.every(user => user.deletedAt instanceof Date)).toBe(true);
+    });
+
+    test('purge() deletes trashed entries for good', async () => {
+        await seed();
+        await (await User.get('u1')).remove();
+
+        expect(await User.purge()).toBe(1);
+
+        expect(await client.EXISTS('test:TestUser_u1')).toBe(0);
+        expect(await client.SMEMBERS('test:TestUser::trash')).toEqual([]);
+        expect(await client.SMEMBERS('test:TestUser:role:admin')).toEqual(['u2']);
+        expect(await client.ZSCORE('test:TestUser:age', 'u1')).toBeNull();
+        // The id and unique values are free again.
+        await User.create({ id: 'u1', email: 'a@example.com' });
+    });
+
+    test('purge({olderThan}) keeps recently trashed entries', async () => {
+        await seed();
+        const first = await User.get('u1');
+        await first.remove();
+        const second = await User.get('u2');
+        await second.remove();
+        // Backdate the first removal.
+        await client.HSET('test:TestUser_u1', 'deletedAt', String(Date.now() - 60000));
+
+        expect(await User.purge({ olderThan: new Date(Date.now() - 30000) })).toBe(1);
+        expect((await User.trash()).map(user => user.id)).toEqual(['u2']);
+    });
+
+    test('remove and restore publish events', async () => {
+        const events = [];
+        await User.subscribe(event => events.push(event));
+        await seed();
+        const user = await User.get('u1');
+        await user.remove();
+        await user.restore();
+        await user.remove();
+        await User.purge();
+        await flush();
+
+        expect(events.slice(2)).toEqual([
+            { model: 'TestUser', id: 'u1', op: 'remove', changedFields: [], soft: true },
+            { model: 'TestUser', id: 'u1', op: 'restore', changedFields: [] },
+            { model: 'TestUser', id: 'u1', op: 'remove', changedFields: [], soft: true },
+            { model: 'TestUser', id: 'u1', op: 'purge', changedFields: [] }
+        ]);
+    });
+
+    test('remove hooks still run', async () => {
+        const calls = [];
+        User.on('beforeRemove', user => { calls.push(['before', user.id]); });
+        User.on('afterRemove', user => { calls.push(['after', user.id, user.deletedAt instanceof Date]); });
+        await seed();
+
+        await (await User.get('u1')).remove();
+        expect(calls).toEqual([['before', 'u1'], ['after', 'u1', true]]);
+    });
+
+    describe('onDelete rules', () => {
+        // A soft-delete author whose posts cascade and whose drafts are set null.
+        function defineModels(rules = {}) {
+            class Author extends Table {
+                static _key = 'id';
+                static _softDelete = true;
+                static _keyMap = {
+                    id: { type: 'string', isRequired: true },
+                    posts: { model: 'Post', rel: 'many', remoteKey: 'authorId', localKey: 'id', onDelete: rules.posts || 'cascade' },
+                    drafts: { model: 'Draft', rel: 'many', remoteKey: 'authorId', localKey: 'id', onDelete: rules.drafts || 'setNull' }
+                };
+            }
+
+            class Post extends Table {
+                static _key = 'id';
+                static _keyMap = {
+                    id: { type: 'string', isRequired: true },
+                    authorId: { type: 'string', index: true }
+                };
+            }
+
+            class Draft extends Table {
+                static _key = 'id';
+                static _keyMap = {
+                    id: { type: 'string', isRequired: true },
+                    authorId: { type: 'string', index: true }
+                };
+            }
+
+            Table.register(Author);
+            Table.register(Post);
+            Table.register(Draft);
+            return { Author, Post, Draft };
+        }
+
+        async function seedAuthor({ Author, Post, Draft }) {
+            await Author.create({ id: 'a1' });
+            await Post.create({ id: 'p1', authorId: 'a1' });
+            await Draft.create({ id: 'd1', authorId: 'a1' });
+        }
+
+        test('are deferred by remove(), so restore() puts everything back', async () => {
+            const models = defineModels();
+            await seedAuthor(models);
+            const author = await models.Author.get('a1');
+
+            await author.remove();
+            expect(await models.Post.list()).toEqual(['p1']);
+            expect((await models.Draft.get('d1')).authorId).toBe('a1');
+
+            await author.restore();
+            expect((await models.Post.get('p1')).authorId).toBe('a1');
+            expect((await models.Draft.get('d1')).authorId).toBe('a1');
+        });
+
+        test('are applied by purge()', async () => {
+            const models = defineModels();
+            await seedAuthor(models);
+            await (await models.Author.get('a1')).remove();
+
+            expect(await models.Author.purge()).toBe(1);
+
+            expect(await models.Post.list()).toEqual([]);
+            expect((await models.Draft.get('d1')).authorId).toBeUndefined();
+        });
+
+        test('restrict is still checked by remove() and again by purge()', async () => {
+            const models = defineModels({ posts: 'restrict' });
+            await models.Author.create({ id: 'a1' });
+            await models.Post.create({ id: 'p1', authorId: 'a1' });
+
+            await expect((await models.Author.get('a1')).remove()).rejects.toMatchObject({ name: 'EntryInUse' });
+
+            await (await models.Post.get('p1')).remove();
+            await (await models.Author.get('a1')).remove();
+            // Referenced again while in the trash.
+            await models.Post.create({ id: 'p2', authorId: 'a1' });
+
+            await expect(models.Author.purge()).rejects.toMatchObject({ name: 'EntryInUse' });
+            expect(await client.SMEMBERS('test:Author::trash')).toEqual(['a1']);
+        });
+    });
+
+    test('findOrphans() does not report trashed hashes as leaked', async () => {
+        await seed();
+        await (await User.get('u1')).remove();
+        await (await User.get('u2')).remove();
+
+        const report = await Table.findOrphans();
+        expect(report.models.TestUser.leaked).toEqual([]);
+        expect(report.unclassified).toEqual([]);
+    });
+
+    test('models without _softDelete still delete the hash', async () => {
+        User._softDelete = false;
+        await seed();
+        await (await User.get('u1')).remove();
+
+        expect(await client.EXISTS('test:TestUser_u1')).toBe(0);
+        expect(await client.SMEMBERS('test:TestUser::trash')).toEqual([]);
+    });
+});
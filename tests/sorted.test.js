@@ -0,0 +1,153 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('sorted indexes and range()', () => {
+    let client;
+    let Table;
+    let Product;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        class TestProduct extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                name: { type: 'string', isRequired: true },
+                price: { type: 'number', sorted: true },
+                stock: { type: 'number' }
+            };
+        }
+
+        Product = TestProduct;
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    async function seed(){
+        await Product.create({ id: 'a', name: 'A', price: 5 });
+        await Product.create({ id: 'b', name: 'B', price: 10 });
+        await Product.create({ id: 'c', name: 'C', price: 15 });
+        await Product.create({ id: 'd', name: 'D', price: 20 });
+        await Product.create({ id: 'e', name: 'E', price: 25 });
+    }
+
+    describe('write paths', () => {
+        test('create scores the id by the field value', async () => {
+            await Product.create({ id: 'a', name: 'A', price: 12.5 });
+
+            expect(await client.ZSCORE('test:TestProduct:price', 'a')).toBe('12.5');
+        });
+
+        test('entries without a value are not scored', async () => {
+            await Product.create({ id: 'a', name: 'A' });
+
+            expect(await client.ZCARD('test:TestProduct:price')).toBe(0);
+        });
+
+        test('update re-scores a changed value', async () => {
+            const product = await Product.create({ id: 'a', name: 'A', price: 5 });
+
+            await product.update({ price: 50 });
+
+            expect(await client.ZSCORE('test:TestProduct:price', 'a')).toBe('50');
+        });
+
+        test('primary-key rename moves the member', async () => {
+            const product = await Product.create({ id: 'a', name: 'A', price: 5 });
+
+            await product.update({ id: 'z' });
+
+            expect(await client.ZSCORE('test:TestProduct:price', 'a')).toBeNull();
+            expect(await client.ZSCORE('test:TestProduct:price', 'z')).toBe('5');
+        });
+
+        test('remove drops the member', async () => {
+            const product = await Product.create({ id: 'a', name: 'A', price: 5 });
+
+            await product.remove();
+
+            expect(await client.ZCARD('test:TestProduct:price')).toBe(0);
+        });
+    });
+
+    describe('range', () => {
+        beforeEach(seed);
+
+        test('returns instances within inclusive bounds in order', async () => {
+            const products = await Product.range('price', 10, 20);
+
+            expect(products.map(p => p.id)).toEqual(['b', 'c', 'd']);
+            expect(products[0]).toBeInstanceOf(Product);
+        });
+
+        test('supports exclusive and open bounds', async () => {
+            expect((await Product.range('price', '(10', 20)).map(p => p.id)).toEqual(['c', 'd']);
+            expect((await Product.range('price', null, 10)).map(p => p.id)).toEqual(['a', 'b']);
+            expect((await Product.range('price', 20)).map(p => p.id)).toEqual(['d', 'e']);
+        });
+
+        test('applies limit and offset', async () => {
+            const products = await Product.range('price', 0, 100, { offset: 1, limit: 2 });
+
+            expect(products.map(p => p.id)).toEqual(['b', 'c']);
+        });
+
+        test('reverse returns the highest scores first', async () => {
+            const products = await Product.range('price', 10, 20, { reverse: true, limit: 2 });
+
+            expect(products.map(p => p.id)).toEqual(['d', 'c']);
+        });
+
+        test('skips and unlinks entries whose hash is gone', async () => {
+            await client.DEL('test:TestProduct_c');
+
+            const products = await Product.range('price', 10, 20);
+
+            expect(products.map(p => p.id)).toEqual(['b', 'd']);
+            expect(await client.ZSCORE('test:TestProduct:price', 'c')).toBeNull();
+            expect(await Product.list()).not.toContain('c');
+        });
+
+        test('throws for a field that is not sorted', async () => {
+            await expect(Product.range('stock', 0, 10)).rejects.toThrow('TestProduct.stock is not a sorted field');
+        });
+    });
+
+    test('reindex rebuilds the sorted index', async () => {
+        await seed();
+        await client.DEL('test:TestProduct:price');
+
+        await Product.reindex();
+
+        expect((await Product.range('price', 0, 10)).map(p => p.id)).toEqual(['a', 'b']);
+    });
+
+    test('date and integer fields can be sorted', async () => {
+        class TestEvent extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                at: { type: 'date', sorted: true },
+                rank: { type: 'integer', sorted: true }
+            };
+        }
+        await TestEvent.create({ id: 'e1', at: new Date('2024-01-01T00:00:00Z'), rank: 2 });
+        await TestEvent.create({ id: 'e2', at: '2024-02-01T00:00:00Z', rank: 1 });
+
+        const event = await TestEvent.get('e2');
+        expect(event.at).toEqual(new Date('2024-02-01T00:00:00Z'));
+        expect(await client.HGET('test:TestEvent_e2', 'at')).toBe(String(Date.UTC(2024, 1, 1)));
+
+        const after = await TestEvent.range('at', new Date('2024-01-15T00:00:00Z'));
+        expect(after.map(item => item.id)).toEqual(['e2']);
+        const queried = await TestEvent.where({ at: { $lt: new Date('2024-01-15T00:00:00Z') } });
+        expect(queried.map(item => item.id)).toEqual(['e1']);
+        expect((await TestEvent.range('rank', 1, 1)).map(item => item.id)).toEqual(['e2']);
+    });
+});
@@ -79,6 +79,33 @@ describe('Table', () => {
             expect(user.metadata).toEqual({ role: 'admin', permissions: ['read', 'write'] });
         });
 
+        test('should validate and round-trip nested schemas', async () => {
+            class TestConfig extends Table {
+                static _key = 'id';
+                static _keyMap = {
+                    id: { type: 'string', isRequired: true },
+                    settings: {
+                        type: 'object',
+                        schema: {
+                            theme: { type: 'string', enum: ['light', 'dark'], default: 'light' },
+                            since: { type: 'date' }
+                        }
+                    },
+                    history: { type: 'array', schema: { type: 'date' } }
+                };
+            }
+
+            await expect(TestConfig.create({ id: 'c1', settings: { theme: 'blue' } }))
+                .rejects.toMatchObject({ errors: [{ key: 'settings.theme', message: 'settings.theme must be one of light, dark.' }] });
+
+            const since = new Date('2024-01-01T00:00:00Z');
+            await TestConfig.create({ id: 'c1', settings: { since, extra: 1 }, history: [since] });
+
+            const config = await TestConfig.get('c1');
+            expect(config.settings).toEqual({ theme: 'light', since });
+            expect(config.history).toEqual([since]);
+        });
+
         test.skip('should skip undefined values', async () => {
             const user = await User.create({
                 username: 'john',
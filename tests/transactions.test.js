@@ -0,0 +1,189 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('atomic writes', () => {
+    let client;
+    let Table;
+    let User;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        class TestUser extends Table {
+            static _key = 'id';
+            static _ttl = 100;
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                name: { type: 'string', isRequired: true },
+                team: { type: 'string', index: true },
+                age: { type: 'number', sorted: true }
+            };
+        }
+
+        User = TestUser;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        client.flushall();
+    });
+
+    // Make the next MULTI drop every queued command and fail on exec, as a
+    // dropped connection would.
+    function failNextExec(){
+        const multi = client.multi.bind(client);
+        jest.spyOn(client, 'multi').mockImplementationOnce(() => {
+            const tx = multi();
+            return new Proxy(tx, {
+                get(target, name) {
+                    if (name === 'exec') return async () => { throw new Error('Connection lost'); };
+                    return target[name];
+                }
+            });
+        });
+    }
+
+    // Every key the mock currently holds.
+    function keys(){
+        return [...client.data.keys(), ...client.sets.keys(), ...client.zsets.keys()].sort();
+    }
+
+    test('create commits all its writes in one transaction', async () => {
+        const hset = jest.spyOn(client, 'HSET');
+        const multi = jest.spyOn(client, 'multi');
+
+        await User.create({ id: 'u1', name: 'John', team: 'red', age: 30 });
+
+        expect(multi).toHaveBeenCalledTimes(1);
+        // Every field goes out in one HSET, as part of the EXEC.
+        expect(hset).toHaveBeenCalledTimes(1);
+        expect(await client.HGETALL('test:TestUser_u1')).toEqual({
+            id: 'u1', name: 'John', team: 'red', age: '30'
+        });
+    });
+
+    test('a failed create leaves nothing behind', async () => {
+        failNextExec();
+
+        await expect(User.create({ id: 'u1', name: 'John', team: 'red', age: 30 }))
+            .rejects.toThrow('Connection lost');
+
+        expect(keys()).toEqual([]);
+    });
+
+    test('a failed update leaves the record and the instance unchanged', async () => {
+        const user = await User.create({ id: 'u1', name: 'John', team: 'red', age: 30 });
+        const before = keys();
+        failNextExec();
+
+        await expect(user.update({ id: 'u2', team: 'blue' })).rejects.toThrow('Connection lost');
+
+        expect(keys()).toEqual(before);
+        expect(user.id).toBe('u1');
+        expect(user.team).toBe('red');
+        expect((await User.get('u1')).team).toBe('red');
+    });
+
+    test('a failed remove keeps the record listed and readable', async () => {
+        const user = await User.create({ id: 'u1', name: 'John', team: 'red', age: 30 });
+        failNextExec();
+
+        await expect(user.remove()).rejects.toThrow('Connection lost');
+
+        expect(await User.list()).toEqual(['u1']);
+        expect((await User.listDetail({ team: 'red' })).map(u => u.id)).toEqual(['u1']);
+    });
+
+    describe('a rename of an entry that expires', () => {
+        async function expectNothingRenamed(user){
+            await expect(user.update({ id: 'u2', team: 'blue' })).rejects.toMatchObject({ name: 'EntryNotFound' });
+
+            expect(await client.EXISTS('test:TestUser_u2')).toBe(0);
+            expect(await client.SMEMBERS('test:TestUser')).not.toContain('u2');
+            expect(await client.SMEMBERS('test:TestUser:team:blue')).toEqual([]);
+            expect(user.id).toBe('u1');
+        }
+
+        test('before the transaction writes nothing', async () => {
+            const user = await User.create({ id: 'u1', name: 'John', team: 'red', age: 30 });
+            client.advanceTime(101000);
+
+            await expectNothingRenamed(user);
+        });
+
+        test('between WATCH and EXEC writes nothing', async () => {
+            const user = await User.create({ id: 'u1', name: 'John', team: 'red', age: 30 });
+            // Let the hash expire right after the transaction checked it exists.
+            const duplicate = client.duplicate.bind(client);
+            jest.spyOn(client, 'duplicate').mockImplementation(() => {
+                const connection = duplicate();
+                const EXISTS = connection.EXISTS.bind(connection);
+                connection.EXISTS = async (...args) => {
+                    const reply = await EXISTS(...args);
+                    client.advanceTime(101000);
+                    return reply;
+                };
+                return connection;
+            });
+
+            await expectNothingRenamed(user);
+        });
+    });
+
+    test('an update of an entry that expired writes nothing', async () => {
+        const user = await User.create({ id: 'u1', name: 'John', team: 'red', age: 30 });
+        client.advanceTime(101000);
+
+        await expect(user.update({ name: 'b' })).rejects.toMatchObject({ name: 'EntryNotFound' });
+
+        expect(await client.EXISTS('test:TestUser_u1')).toBe(0);
+        expect(user.name).toBe('John');
+    });
+
+    test('an update retries when another write lands before EXEC', async () => {
+        const user = await User.create({ id: 'u1', name: 'John', team: 'red', age: 30 });
+        // Another writer changes the hash right after it is WATCHed, once.
+        const duplicate = client.duplicate.bind(client);
+        let interfered = false;
+        let checks = 0;
+        jest.spyOn(client, 'duplicate').mockImplementation(() => {
+            const connection = duplicate();
+            const EXISTS = connection.EXISTS.bind(connection);
+            connection.EXISTS = async (...args) => {
+                const reply = await EXISTS(...args);
+                checks++;
+                if(!interfered){
+                    interfered = true;
+                    await client.HSET('test:TestUser_u1', 'age', '31');
+                }
+                return reply;
+            };
+            return connection;
+        });
+
+        await user.update({ name: 'Jo' });
+
+        // Checked before each of the two attempts and after the first failed.
+        expect(checks).toBe(3);
+        expect(await client.HGETALL('test:TestUser_u1')).toMatchObject({ name: 'Jo', age: '31' });
+    });
+
+    test('the mock, like Redis, refuses to RENAME a missing key', async () => {
+        await expect(client.RENAME('test:nope', 'test:other')).rejects.toThrow('no such key');
+    });
+
+    test('update writes all changed fields with a single HSET', async () => {
+        const user = await User.create({ id: 'u1', name: 'John', team: 'red', age: 30 });
+        const hset = jest.spyOn(client, 'HSET');
+
+        await user.update({ name: 'Johnny', team: 'blue', age: 31 });
+
+        expect(hset).toHaveBeenCalledTimes(1);
+        expect(await client.HGETALL('test:TestUser_u1')).toMatchObject({
+            name: 'Johnny', team: 'blue', age: '31'
+        });
+    });
+});
@@ -0,0 +1,208 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('unique constraints', () => {
+    let client;
+    let Table;
+    let User;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        class TestUser extends Table {
+            static _key = 'id';
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                email: { type: 'string', isRequired: true, unique: true },
+                slug: { type: 'string', unique: true },
+                name: { type: 'string' }
+            };
+        }
+
+        User = TestUser;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        client.flushall();
+    });
+
+    describe('create', () => {
+        test('records the value holder', async () => {
+            await User.create({ id: 'u1', email: 'a@example.com' });
+
+            expect(await client.GET('test:TestUser::unique:email:a@example.com')).toBe('u1');
+        });
+
+        test('rejects a duplicate value with a 409 EntryNameUsed', async () => {
+            await User.create({ id: 'u1', email: 'a@example.com' });
+
+            await expect(User.create({ id: 'u2', email: 'a@example.com' })).rejects.toMatchObject({
+                name: 'EntryNameUsed',
+                status: 409,
+                keys: [{ key: 'email', message: 'TestUser.email:a@example.com already exists' }]
+            });
+            expect(await User.list()).toEqual(['u1']);
+        });
+
+        test('releases earlier claims when a later field conflicts', async () => {
+            await User.create({ id: 'u1', email: 'a@example.com', slug: 'taken' });
+
+            await expect(User.create({ id: 'u2', email: 'b@example.com', slug: 'taken' }))
+                .rejects.toMatchObject({ name: 'EntryNameUsed' });
+
+            expect(await client.GET('test:TestUser::unique:email:b@example.com')).toBeNull();
+            await User.create({ id: 'u3', email: 'b@example.com' });
+        });
+
+        test('only one of two concurrent creates wins a value', async () => {
+            const results = await Promise.allSettled([
+                User.create({ id: 'u1', email: 'a@example.com' }),
+                User.create({ id: 'u2', email: 'a@example.com' })
+            ]);
+
+            expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+            expect(await User.list()).toHaveLength(1);
+        });
+
+        test('a value is freed when the entry holding it expires', async () => {
+            await User.create({ id: 'u1', email: 'a@example.com' }, { ttl: 10 });
+            client.advanceTime(11 * 1000);
+
+            const user = await User.create({ id: 'u2', email: 'a@example.com' });
+
+            expect(user.email).toBe('a@example.com');
+            expect(await client.GET('test:TestUser::unique:email:a@example.com')).toBe('u2');
+        });
+
+        test('held values follow the entry lifetime', async () => {
+            const user = await User.create({ id: 'u1', email: 'a@example.com' }, { ttl: 10 });
+            const key = 'test:TestUser::unique:email:a@example.com';
+
+            expect(await client.TTL(key)).toBe(10);
+            await user.expire(50);
+            expect(await client.TTL(key)).toBe(50);
+            await user.update({ name: 'John' }, { ttl: 0 });
+            expect(await client.TTL(key)).toBe(-1);
+        });
+
+        test('releases its claims when the write fails', async () => {
+            const multi = client.multi.bind(client);
+            jest.spyOn(client, 'multi').mockImplementationOnce(() => new Proxy(multi(), {
+                get(target, name) {
+                    if (name === 'exec') return async () => { throw new Error('Connection lost'); };
+                    return target[name];
+                }
+            }));
+
+            await expect(User.create({ id: 'u1', email: 'a@example.com' })).rejects.toThrow('Connection lost');
+
+            expect(await client.GET('test:TestUser::unique:email:a@example.com')).toBeNull();
+        });
+    });
+
+    describe('update', () => {
+        test('moves the claim to the new value', async () => {
+            const user = await User.create({ id: 'u1', email: 'a@example.com' });
+
+            await user.update({ email: 'b@example.com' });
+
+            expect(await client.GET('test:TestUser::unique:email:a@example.com')).toBeNull();
+            expect(await client.GET('test:TestUser::unique:email:b@example.com')).toBe('u1');
+        });
+
+        test('rejects a value held by another entry', async () => {
+            await User.create({ id: 'u1', email: 'a@example.com' });
+            const user = await User.create({ id: 'u2', email: 'b@example.com' });
+
+            await expect(user.update({ email: 'a@example.com' })).rejects.toMatchObject({
+                name: 'EntryNameUsed',
+                status: 409
+            });
+            expect(user.email).toBe('b@example.com');
+            expect(await client.GET('test:TestUser::unique:email:b@example.com')).toBe('u2');
+        });
+
+        test('re-saving the same value is not a conflict', async () => {
+            const user = await User.create({ id: 'u1', email: 'a@example.com' });
+
+            await user.update({ email: 'a@example.com', name: 'John' });
+
+            expect(user.name).toBe('John');
+        });
+
+        test('a primary-key rename re-points held values', async () => {
+            const user = await User.create({ id: 'u1', email: 'a@example.com' });
+
+            await user.update({ id: 'u9' });
+
+            expect(await client.GET('test:TestUser::unique:email:a@example.com')).toBe('u9');
+        });
+    });
+
+    test('remove frees the value for reuse', async () => {
+        const user = await User.create({ id: 'u1', email: 'a@example.com' });
+
+        await user.remove();
+        const again = await User.create({ id: 'u2', email: 'a@example.com' });
+
+        expect(again.email).toBe('a@example.com');
+    });
+
+    describe('a stale instance', () => {
+        // A is loaded, then another worker moves it to y and B takes x.
+        async function staleA() {
+            const stale = await User.create({ id: 'a', email: 'x@e.com' });
+            await (await User.get('a')).update({ email: 'y@e.com' });
+            await User.create({ id: 'b', email: 'x@e.com' });
+            return stale;
+        }
+
+        test('remove() frees the stored values, not those of the instance', async () => {
+            const stale = await staleA();
+
+            await stale.remove();
+
+            expect(await client.GET('test:TestUser::unique:email:x@e.com')).toBe('b');
+            await expect(User.create({ id: 'c', email: 'x@e.com' })).rejects.toMatchObject({ name: 'EntryNameUsed' });
+            await User.create({ id: 'c', email: 'y@e.com' });
+        });
+
+        test('update() moves the stored value', async () => {
+            const stale = await staleA();
+
+            await stale.update({ email: 'z@e.com' });
+
+            expect(await client.GET('test:TestUser::unique:email:x@e.com')).toBe('b');
+            expect(await client.GET('test:TestUser::unique:email:y@e.com')).toBeNull();
+            expect(await client.GET('test:TestUser::unique:email:z@e.com')).toBe('a');
+        });
+    });
+
+    test('a claim outlives a write that never commits only for a while', async () => {
+        const key = 'test:TestUser::unique:email:a@example.com';
+        // The process dies between the claim and the transaction.
+        await User._claimUnique('u1', { email: 'a@example.com' }, 0);
+        expect(await client.PTTL(key)).toBe(User._claimTimeout);
+
+        client.advanceTime(User._claimTimeout);
+        await User.create({ id: 'u2', email: 'a@example.com' });
+
+        // A committed claim keeps no expiry.
+        expect(await client.GET(key)).toBe('u2');
+        expect(await client.TTL(key)).toBe(-1);
+    });
+
+    test('reindex rebuilds the claims from stored entries', async () => {
+        await User.create({ id: 'u1', email: 'a@example.com' });
+        await client.DEL('test:TestUser::unique:email:a@example.com');
+
+        await User.reindex();
+
+        await expect(User.create({ id: 'u2', email: 'a@example.com' }))
+            .rejects.toMatchObject({ name: 'EntryNameUsed' });
+    });
+});
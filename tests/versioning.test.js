@@ -0,0 +1,235 @@
+'use strict';
+
+const MockRedisClient = require('./helpers/mock-redis');
+const setUpTable = require('../src/redis_model');
+
+describe('optimistic concurrency', () => {
+    let client;
+    let Table;
+    let Doc;
+
+    beforeEach(() => {
+        client = new MockRedisClient();
+        Table = setUpTable(client, 'test:');
+
+        class TestDoc extends Table {
+            static _key = 'id';
+            static _versioned = true;
+            static _keyMap = {
+                id: { type: 'string', isRequired: true },
+                title: { type: 'string' },
+                body: { type: 'string' },
+                slug: { type: 'string', unique: true }
+            };
+        }
+        Doc = TestDoc;
+    });
+
+    afterEach(() => {
+        client.flushall();
+    });
+
+    test('create() starts the version at 1', async () => {
+        const doc = await Doc.create({ id: 'd1', title: 'One' });
+
+        expect(doc._version).toBe(1);
+        expect(await client.HGET('test:TestDoc_d1', '_version')).toBe('1');
+    });
+
+    test('update() bumps the version', async () => {
+        const doc = await Doc.create({ id: 'd1', title: 'One' });
+        await doc.update({ title: 'Two' });
+        await doc.update({ body: 'Text' });
+
+        expect(doc._version).toBe(3);
+        const loaded = await Doc.get('d1');
+        expect(loaded._version).toBe(3);
+        expect(loaded.title).toBe('Two');
+    });
+
+    test('updating a stale instance fails with StaleEntry', async () => {
+        await Doc.create({ id: 'd1', title: 'One', body: 'Text' });
+        const first = await Doc.get('d1');
+        const second = await Doc.get('d1');
+
+        await first.update({ title: 'First' });
+
+        const error = await second.update({ body: 'Second' }).catch(error => error);
+        expect(error.name).toBe('StaleEntry');
+        expect(error.status).toBe(409);
+        expect(error.message).toBe('TestDoc:d1 was changed since it was loaded');
+
+        // Nothing from the stale write was applied, to Redis or the instance.
+        const stored = await Doc.get('d1');
+        expect(stored.title).toBe('First');
+        expect(stored.body).toBe('Text');
+        expect(stored._version).toBe(2);
+        expect(second.body).toBe('Text');
+    });
+
+    test('a reloaded instance can update again', async () => {
+        await Doc.create({ id: 'd1', title: 'One' });
+        const first = await Doc.get('d1');
+        const second = await Doc.get('d1');
+        await first.update({ title: 'First' });
+        await expect(second.update({ title: 'Second' })).rejects.toMatchObject({ name: 'StaleEntry' });
+
+        const fresh = await Doc.get('d1');
+        await fresh.update({ title: 'Second' });
+        expect((await Doc.get('d1')).title).toBe('Second');
+    });
+
+    test('a write landing between the version check and EXEC aborts the update', async () => {
+        const doc = await Doc.create({ id: 'd1', title: 'One' });
+
+        // Let the version check pass, then have another writer touch the
+        // hash before the transaction commits.
+        const duplicate = client.duplicate.bind(client);
+        jest.spyOn(client, 'duplicate').mockImplementation(() => {
+            const connection = duplicate();
+            const HGET = connection.HGET.bind(connection);
+            connection.HGET = async (...args) => {
+                const reply = await HGET(...args);
+                await client.HSET('test:TestDoc_d1', 'title', 'Other');
+                return reply;
+            };
+            return connection;
+        });
+
+        await expect(doc.update({ title: 'Mine' })).rejects.toMatchObject({ name: 'StaleEntry', status: 409 });
+        expect(await client.HGET('test:TestDoc_d1', 'title')).toBe('Other');
+        expect(await client.HGET('test:TestDoc_d1', '_version')).toBe('1');
+    });
+
+    test('a stale update releases the unique values it claimed', async () => {
+        await Doc.create({ id: 'd1', slug: 'one' });
+        const first = await Doc.get('d1');
+        const second = await Doc.get('d1');
+        await first.update({ title: 'First' });
+
+        await expect(second.update({ slug: 'two' })).rejects.toMatchObject({ name: 'StaleEntry' });
+        expect(await client.GET('test:TestDoc::unique:slug:two')).toBeNull();
+        expect(await client.GET('test:TestDoc::unique:slug:one')).toBe('d1');
+    });
+
+    test('renames keep the version', async () => {
+        const doc = await Doc.create({ id: 'd1', title: 'One' });
+        await doc.update({ id: 'd2' });
+
+        expect(doc._version).toBe(2);
+        expect((await Doc.get('d2'))._version).toBe(2);
+    });
+
+    test('concurrent updates from one process all commit', async () => {
+        await Doc.create({ id: 'd1', title: 'One' });
+        await Doc.create({ id: 'd2', title: 'Two' });
+        const [one, two] = await Promise.all([Doc.get('d1'), Doc.get('d2')]);
+
+        await Promise.all([one.update({ title: 'A' }), two.update({ title: 'B' })]);
+        expect((await Doc.get('d1'))._version).toBe(2);
+        expect((await Doc.get('d2'))._version).toBe(2);
+    });
+
+    test('entries written before versioning was enabled start from 0', async () => {
+        class Plain extends Table {
+            static _key = 'id';
+            static _keyMap = { id: { type: 'string', isRequired: true }, title: { type: 'string' } };
+        }
+        await Plain.create({ id: 'p1', title: 'One' });
+        expect(await client.HGET('test:Plain_p1', '_version')).toBeNull();
+
+        Plain._versioned = true;
+        const plain = await Plain.get('p1');
+        expect(plain._version).toBeUndefined();
+
+        await plain.update({ title: 'Two' });
+        expect(plain._version).toBe(1);
+        expect((await Plain.get('p1'))._version).toBe(1);
+    });
+
+    test('unversioned models do not store a version', async () => {
+        class Plain extends Table {
+            static _key = 'id';
+            static _keyMap = { id: { type: 'string', isRequired: true }, title: { type: 'string' } };
+        }
+        const plain = await Plain.create({ id: 'p1' });
+        await plain.update({ title: 'Two' });
+
+        expect(plain._version).toBeUndefined();
+        expect(await client.HGET('test:Plain_p1', '_version')).toBeNull();
+    });
+
+    describe('watch connections', () => {
+        // Record the duplicated connections, and hold every WATCHed update
+        // until release() so several are in flight at once.
+        function track(){
+            const connections = [];
+            const held = [];
+            const duplicate = client.duplicate.bind(client);
+            jest.spyOn(client, 'duplicate').mockImplementation(() => {
+                const connection = duplicate();
+                const WATCH = connection.WATCH.bind(connection);
+                connection.WATCH = async (...args) => {
+                    await new Promise(resolve => held.push(resolve));
+                    return WATCH(...args);
+                };
+                connections.push(connection);
+                return connection;
+            });
+            const release = async () => {
+                while(held.length) held.shift()();
+                await new Promise(resolve => setImmediate(resolve));
+            };
+            return { connections, release };
+        }
+
+        async function updateAll(docs, release){
+            const updates = Promise.all(docs.map(doc => doc.update({ title: `New ${doc.id}` })));
+            // Keep letting the held WATCHes go until every update is done.
+            let done = false;
+            updates.finally(() => { done = true; });
+            while(!done) await release();
+            return await updates;
+        }
+
+        test('concurrent updates run on separate connections, up to watchConnections', async () => {
+            const docs = [];
+            for(const id of ['d1', 'd2', 'd3']) docs.push(await Doc.create({ id }));
+            Table.watchConnections = 2;
+            const { connections, release } = track();
+
+            await updateAll(docs, release);
+
+            expect(connections).toHaveLength(2);
+            expect((await Doc.get('d3')).title).toBe('New d3');
+        });
+
+        test('close() closes them, and the next update opens a new one', async () => {
+            const doc = await Doc.create({ id: 'd1' });
+            const { connections, release } = track();
+            await updateAll([doc], release);
+
+            await Table.close();
+            expect(connections[0].isOpen).toBe(false);
+
+            await updateAll([doc], release);
+            expect(connections).toHaveLength(2);
+            expect(connections[1].isOpen).toBe(true);
+        });
+
+        test('they are closed when the client ends', async () => {
+            const doc = await Doc.create({ id: 'd1' });
+            const { connections, release } = track();
+            await updateAll([doc], release);
+            const stop = await Doc.subscribe(() => {});
+            const subscriber = client.duplicate.mock.results[1].value;
+
+            await client.close();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(connections[0].isOpen).toBe(false);
+            expect(subscriber.isOpen).toBe(false);
+            await stop();
+        });
+    });
+});